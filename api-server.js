@@ -4,16 +4,28 @@
  * Replace this with your actual API implementation
  */
 
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
+const tokens = require('./theme-tokens');
+const { ThemeValidationError, validateTheme, validateThemePayload } = require('./theme-schema');
+const { parseGenerateQuery, generatePalette } = require('./lib/palette-generator');
+const { createThemeStore } = require('./lib/theme-store');
+const { TOGGLE_STATES, createToggleStore } = require('./lib/toggle-store');
+const { EXPORT_FORMATS, parseExportName } = require('./lib/theme-exporters');
+const { DEFAULT_RULE, validateSchedule, resolveSchedule, getPollInterval, getRotationWindow, loadSchedule } = require('./lib/rotation-schedule');
+const { MODES, paletteMode, availableModes, deriveDarkColors } = require('./lib/dark-mode');
+const { CONTRASTS, deriveHighContrastColors } = require('./lib/high-contrast');
+const { BUILT_IN_PALETTES, TRADITIONAL_COLORS } = require('./lib/theme-registry');
 const app = express();
 const PORT = process.env.PORT || 3001;
 
 // Set CORS headers for all API responses (Vercel 2025: headers must be in code, not config)
 app.use((req, res, next) => {
     res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, If-None-Match');
+    res.header('Access-Control-Expose-Headers', 'ETag');
     if (req.method === 'OPTIONS') {
         return res.sendStatus(200);
     }
@@ -21,135 +33,589 @@ app.use((req, res, next) => {
 });
 app.use(express.json());
 
-// Toggle state tracking (in production, this would be stored in a database)
-let toggleStates = {};
+// Per-client toggle state; TOGGLE_STORE picks the backend (see lib/toggle-store.js)
+const toggleStore = createToggleStore();
+
+// WCAG contrast of text over a background; a translucent background is composited over the page backdrop
+// Ratios are floored to two decimals so a reported 4.5 always passes AA
+function measureContrast(textColor, background, backdrop) {
+    const bg = tokens.composite(tokens.parseColor(background), tokens.parseColor(backdrop));
+    const ratio = tokens.contrastRatio(tokens.parseColor(textColor), bg);
+    return {
+        contrast_ratio: Math.floor(ratio * 100) / 100,
+        wcag_aa: tokens.meetsWcag(ratio, 'AA'),
+        wcag_aaa: tokens.meetsWcag(ratio, 'AAA')
+    };
+}
+
+// Palette colour with the highest contrast against `fixed`; earlier roles win ties
+function mostReadable(colors, fixed, preferred, backdrop = colors.background) {
+    const roles = [...preferred, ...tokens.ROLES.filter(role => !preferred.includes(role))];
+    let best = null;
+    for (const role of roles) {
+        if (colors[role] === fixed) {
+            continue;
+        }
+        const { contrast_ratio } = measureContrast(colors[role], fixed, backdrop);
+        if (!best || contrast_ratio > best.ratio) {
+            best = { color: colors[role], ratio: contrast_ratio };
+        }
+    }
+    return best.color;
+}
 
 // Function to generate intelligent styling rules based on theme colors
+// Each rule takes the most readable palette colour for its free side and reports its contrast
 function generateIntelligentStyling(colors) {
+    const textPreference = ['text', 'primary'];
+    const backgroundPreference = ['background', 'surface', 'info'];
+
+    function backgroundRule(selector, background, description) {
+        const text_color = mostReadable(colors, background, textPreference);
+        return { selector, background, text_color, description, ...measureContrast(text_color, background, colors.background) };
+    }
+
+    function textRule(selector, text_color, description) {
+        const background = mostReadable(colors, text_color, backgroundPreference);
+        return { selector, background, text_color, description, ...measureContrast(text_color, background, colors.background) };
+    }
+
+    function containerRule(selector, role, description) {
+        const background = tokens.toRgba(tokens.parseColor(colors[role]), 0.1);
+        const backdrop = tokens.toHex(tokens.composite(tokens.parseColor(background), tokens.parseColor(colors.background)));
+        const text_color = mostReadable(colors, backdrop, textPreference);
+        return {
+            selector,
+            background,
+            border_color: colors[role],
+            text_color,
+            description,
+            ...measureContrast(text_color, background, colors.background)
+        };
+    }
+
     return {
-        warning_background: {
-            selector: '.warning-bg, [style*="background: var(--theme-warning)"], [style*="background-color: var(--theme-warning)"]',
-            background: colors.warning,
-            text_color: colors.text,
-            description: "Warning color as background with readable text"
-        },
-        accent_background: {
-            selector: '.accent-bg, [style*="background: var(--theme-accent)"], [style*="background-color: var(--theme-accent)"]',
-            background: colors.accent,
-            text_color: colors.text,
-            description: "Accent color as background with readable text"
-        },
-        warning_text: {
-            selector: '.warning-text, [style*="color: var(--theme-warning)"]',
-            background: colors.info,
-            text_color: colors.warning,
-            description: "Warning color as text with info background"
-        },
-        accent_text: {
-            selector: '.accent-text, [style*="color: var(--theme-accent)"]', 
-            background: colors.info,
-            text_color: colors.accent,
-            description: "Accent color as text with info background"
-        },
-        warning_container: {
-            selector: '.warning-container, .alert-warning',
-            background: `rgba(${hexToRgb(colors.warning).join(', ')}, 0.1)`,
-            border_color: colors.warning,
-            text_color: colors.text,
-            description: "Warning container with subtle background"
-        },
-        accent_container: {
-            selector: '.accent-container, .highlight',
-            background: `rgba(${hexToRgb(colors.accent).join(', ')}, 0.1)`,
-            border_color: colors.accent,
-            text_color: colors.text,
-            description: "Accent container with subtle background"
-        }
+        warning_background: backgroundRule(
+            '.warning-bg, [style*="background: var(--theme-warning)"], [style*="background-color: var(--theme-warning)"]',
+            colors.warning,
+            "Warning color as background with readable text"
+        ),
+        accent_background: backgroundRule(
+            '.accent-bg, [style*="background: var(--theme-accent)"], [style*="background-color: var(--theme-accent)"]',
+            colors.accent,
+            "Accent color as background with readable text"
+        ),
+        warning_text: textRule(
+            '.warning-text, [style*="color: var(--theme-warning)"]',
+            colors.warning,
+            "Warning color as text on the most readable palette background"
+        ),
+        accent_text: textRule(
+            '.accent-text, [style*="color: var(--theme-accent)"]',
+            colors.accent,
+            "Accent color as text on the most readable palette background"
+        ),
+        warning_container: containerRule('.warning-container, .alert-warning', 'warning', "Warning container with subtle background"),
+        accent_container: containerRule('.accent-container, .highlight', 'accent', "Accent container with subtle background")
     };
 }
 
-// Helper function to convert hex to RGB (supports 3- and 6-digit hex)
-function hexToRgb(hex) {
-    hex = hex.replace('#', '');
-    if (hex.length === 3) {
-        hex = hex.split('').map(c => c + c).join('');
-    }
-    const result = /^([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-    return result ? [
-        parseInt(result[1], 16),
-        parseInt(result[2], 16),
-        parseInt(result[3], 16)
-    ] : [0, 0, 0];
-}
-
-// Cividis color palettes
-const themes = {
-    cividis: {
-        name: "Cividis",
-        colors: {
-            primary: "#00204c",
-            secondary: "#7f7c75",
-            accent: "#bbaf71",
-            success: "#0a376d",
-            warning: "#ffe945",
-            info: "#37476b",
-            background: "#ffffff",
-            surface: "#f8f9fa",
-            text: "#1b1b1b",
-            border: "#e0e0e0"
-        },
-        get styling_rules() {
-            return generateIntelligentStyling(this.colors);
+// Contrast of every pair of palette roles (contrast is symmetric, so each pair appears once)
+function auditPalette(colors) {
+    const pairs = [];
+    tokens.ROLES.forEach((first, index) => {
+        for (const second of tokens.ROLES.slice(index + 1)) {
+            const ratio = tokens.contrastRatio(tokens.parseColor(colors[first]), tokens.parseColor(colors[second]));
+            pairs.push({
+                roles: [first, second],
+                colors: [colors[first], colors[second]],
+                contrast_ratio: Math.floor(ratio * 100) / 100,
+                wcag_aa: tokens.meetsWcag(ratio, 'AA'),
+                wcag_aaa: tokens.meetsWcag(ratio, 'AAA'),
+                wcag_aa_large: tokens.meetsWcag(ratio, 'AA', true),
+                wcag_aaa_large: tokens.meetsWcag(ratio, 'AAA', true)
+            });
+        }
+    });
+    return pairs;
+}
+
+// Colour values in responses follow ?format= (hex, rgb, hsl, oklch, channels); without it they are served as stored
+function isColorFormat(format) {
+    return format === undefined || tokens.COLOR_FORMATS.includes(format);
+}
+
+function sendInvalidFormat(res, format) {
+    res.status(400).json({
+        success: false,
+        error: "Invalid parameters",
+        details: [{ path: 'format', message: `must be one of ${tokens.COLOR_FORMATS.join(', ')} (got ${JSON.stringify(format)})` }]
+    });
+}
+
+function formatColors(colors, format) {
+    const formatted = {};
+    for (const [key, value] of Object.entries(colors)) {
+        formatted[key] = tokens.formatColor(value, format);
+    }
+    return formatted;
+}
+
+// Convert colors and every styling_rules colour; a channels payload is for CSS/Tailwind consumers, not the engine
+function formatPayload(payload, format) {
+    if (!format) {
+        return payload;
+    }
+    const formatted = { ...payload, meta: { ...payload.meta, format } };
+    if (payload.colors) {
+        formatted.colors = formatColors(payload.colors, format);
+    }
+    if (payload.styling_rules) {
+        formatted.styling_rules = {};
+        for (const [name, rule] of Object.entries(payload.styling_rules)) {
+            formatted.styling_rules[name] = { ...rule };
+            for (const field of ['background', 'text_color', 'border_color']) {
+                if (rule[field] !== undefined) {
+                    formatted.styling_rules[name][field] = tokens.formatColor(rule[field], format);
+                }
+            }
         }
-    },
-    alternate: {
-        name: "Alternate Cividis",
-        colors: {
-            primary: "#7A6B13",
-            secondary: "#A48B0D", 
-            accent: "#CFAB0B",
-            success: "#4762a7", // fixed from #4762a7ff
-            warning: "#FEEA8B",
-            info: "#FCEEB6",
-            background: "#ffffff",
-            surface: "#f8f9fa", 
-            text: "#333333",
-            border: "#e0e0e0"
-        },
+    }
+    return formatted;
+}
+
+// ?mode=light|dark picks a variant; light palettes also have a derived dark one (see lib/dark-mode.js)
+function sendInvalidMode(res, mode, modes = MODES) {
+    res.status(400).json({
+        success: false,
+        error: "Invalid parameters",
+        details: [{ path: 'mode', message: `must be one of ${modes.join(', ')} (got ${JSON.stringify(mode)})` }]
+    });
+}
+
+// ?contrast=more serves the high contrast variant of whichever mode was picked (see lib/high-contrast.js)
+function sendInvalidContrast(res, contrast) {
+    res.status(400).json({
+        success: false,
+        error: "Invalid parameters",
+        details: [{ path: 'contrast', message: `must be one of ${CONTRASTS.join(', ')} (got ${JSON.stringify(contrast)})` }]
+    });
+}
+
+// { mode, contrast, colors, styling_rules } for a theme in a mode, or null when the theme has no such variant
+function getThemeVariant(theme, mode, contrast = 'normal') {
+    const ownMode = paletteMode(theme.colors);
+    let variant;
+    if (mode === undefined || mode === ownMode) {
+        variant = { mode: ownMode, contrast, colors: theme.colors, styling_rules: theme.styling_rules };
+    } else if (!availableModes(theme.colors).includes(mode)) {
+        return null;
+    } else {
+        const colors = deriveDarkColors(theme.colors);
+        variant = { mode, contrast, colors, styling_rules: generateIntelligentStyling(colors) };
+    }
+    if (contrast !== 'more') {
+        return variant;
+    }
+    const colors = deriveHighContrastColors(variant.colors);
+    return { ...variant, colors, styling_rules: generateIntelligentStyling(colors) };
+}
+
+// Submitted palettes may use any response format; the channels form is stored as rgb() so it stays valid CSS
+function normalizeSubmittedColors(colors) {
+    if (!colors || typeof colors !== 'object' || Array.isArray(colors)) {
+        return colors;
+    }
+    const normalized = {};
+    for (const [key, value] of Object.entries(colors)) {
+        const channels = tokens.parseChannels(value);
+        normalized[key] = channels ? tokens.formatColor(tokens.toRgba(channels), 'rgb') : value;
+    }
+    return normalized;
+}
+
+// Built-in palettes (lib/theme-registry.js) plus the custom themes registered below
+const themes = {};
+for (const [id, theme] of Object.entries(BUILT_IN_PALETTES)) {
+    registerTheme(id, theme);
+}
+
+// Themes added through POST /themes live next to the built-ins and are persisted by the theme store
+const BUILT_IN_THEMES = Object.keys(themes);
+// Ids that would clash with /theme/* routes
+const RESERVED_THEME_IDS = ['generate', 'stream', 'toggle'];
+const THEME_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+const themeStore = createThemeStore();
+
+function registerTheme(id, { name, colors }) {
+    themes[id] = {
+        name,
+        colors,
         get styling_rules() {
             return generateIntelligentStyling(this.colors);
         }
-    },
-};
+    };
+}
+
+function getCustomThemes() {
+    const custom = {};
+    for (const [id, theme] of Object.entries(themes)) {
+        if (!BUILT_IN_THEMES.includes(id)) {
+            custom[id] = { name: theme.name, colors: theme.colors };
+        }
+    }
+    return custom;
+}
+
+// Every role present and parseable, no unknown roles, and a usable name
+function validateSubmittedTheme(theme) {
+    const errors = validateTheme(theme);
+    if (theme.colors && typeof theme.colors === 'object') {
+        for (const key of Object.keys(theme.colors)) {
+            if (!tokens.ROLES.includes(key)) {
+                errors.push({ path: `theme.colors.${key}`, message: 'is not a palette role' });
+            }
+        }
+    }
+    if (typeof theme.name === 'string' && theme.name.length > 60) {
+        errors.push({ path: 'theme.name', message: 'must be at most 60 characters' });
+    }
+    return errors;
+}
+
+function loadCustomThemes() {
+    let stored;
+    try {
+        stored = themeStore.load();
+    } catch (error) {
+        console.error(`Could not read ${themeStore.filePath}:`, error.message);
+        return;
+    }
+    for (const [id, theme] of Object.entries(stored)) {
+        const errors = BUILT_IN_THEMES.includes(id) || !THEME_ID_PATTERN.test(id)
+            ? [{ path: id, message: 'is not a usable theme id' }]
+            : validateSubmittedTheme(theme);
+        if (errors.length) {
+            console.error(`Skipping stored theme "${id}": ${errors.map(e => `${e.path} ${e.message}`).join('; ')}`);
+            continue;
+        }
+        registerTheme(id, theme);
+    }
+}
+
+// Save the custom themes as they would be after `change`; the registry is only touched once the file is written
+function persistThemes(change) {
+    const custom = getCustomThemes();
+    change(custom);
+    themeStore.save(custom);
+    for (const id of Object.keys(themes)) {
+        if (!BUILT_IN_THEMES.includes(id) && !(id in custom)) {
+            delete themes[id];
+        }
+    }
+    for (const [id, theme] of Object.entries(custom)) {
+        registerTheme(id, theme);
+    }
+}
+
+loadCustomThemes();
+
+// Build the payload every theme route sends
+function buildThemePayload(name, colors, stylingRules, extra = {}) {
+    const { meta = {}, ...fields } = extra;
+    const payload = {
+        success: true,
+        ...(name ? { theme: name } : {}),
+        ...fields,
+        colors,
+        styling_rules: stylingRules || {},
+        meta: {
+            timestamp: new Date().toISOString(),
+            version: "1.0.0",
+            ...meta
+        }
+    };
+    const errors = validateThemePayload(payload);
+    if (errors.length) {
+        throw new ThemeValidationError(errors, `Invalid payload for ${name || 'palette'}`);
+    }
+    return payload;
+}
+
+// Validate every registered palette; an invalid registry must never be served
+function validateRegistry() {
+    const errors = [];
+    for (const [key, theme] of Object.entries(themes)) {
+        errors.push(...validateTheme(theme, `themes.${key}`));
+    }
+    errors.push(...validateTheme({ name: 'Traditional', colors: TRADITIONAL_COLORS, styling_rules: generateIntelligentStyling(TRADITIONAL_COLORS) }, 'TRADITIONAL_COLORS'));
+    return errors;
+}
+
+// Strong ETag over the response content; meta.timestamp and the ?at= moment change on every request, so they are left out
+function contentEtag(body) {
+    let stable = body;
+    if (body.meta) {
+        const { timestamp, schedule, ...meta } = body.meta;
+        if (schedule) {
+            const { at, ...rule } = schedule;
+            meta.schedule = rule;
+        }
+        stable = { ...body, meta };
+    }
+    return `"${crypto.createHash('sha256').update(JSON.stringify(stable)).digest('base64url').slice(0, 27)}"`;
+}
+
+// Send JSON with an ETag and Cache-Control, or 304 when If-None-Match already has it
+// Checked here rather than by Express: browsers add Cache-Control: no-cache to a fetch() that sets If-None-Match,
+// and Express never answers 304 to such a request
+function sendCacheable(req, res, body, cacheControl = 'no-cache') {
+    const etag = contentEtag(body);
+    res.set('ETag', etag);
+    res.set('Cache-Control', cacheControl);
+    const ifNoneMatch = req.get('If-None-Match');
+    if (ifNoneMatch && ifNoneMatch.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag || tag.trim() === '*')) {
+        return res.status(304).end();
+    }
+    res.json(body);
+}
+
+// 500 response; invalid theme data lists every failing field
+function sendServerError(res, error) {
+    const body = { success: false, error: "Internal server error", message: error.message };
+    if (error instanceof ThemeValidationError) {
+        body.error = "Invalid theme data";
+        body.details = error.errors;
+    }
+    res.status(500).json(body);
+}
+
+// GET /theme follows the rotation schedule (THEME_SCHEDULE / THEME_SCHEDULE_FILE, see lib/rotation-schedule.js)
+let rotationSchedule;
+let scheduleLoadError = null;
+try {
+    rotationSchedule = loadSchedule();
+} catch (error) {
+    scheduleLoadError = error;
+    rotationSchedule = { rules: [DEFAULT_RULE] };
+    console.error('Could not load the rotation schedule:', error.message);
+}
+
+function resolveActiveTheme(at = new Date()) {
+    return resolveSchedule(rotationSchedule, at, Object.keys(themes));
+}
+
+// GET /theme may be cached until the schedule could pick another theme; previews and fixed picks always revalidate
+function scheduledCacheControl(at, preview) {
+    const lifetime = preview ? null : getRotationWindow(rotationSchedule, at, Object.keys(themes));
+    return lifetime === null ? 'no-cache' : `public, max-age=${Math.floor(lifetime / 1000)}`;
+}
+
+function getActiveThemeName(at = new Date()) {
+    return resolveActiveTheme(at).themeName;
+}
+
+// Payload for the scheduled theme; meta says which rule matched
+// A mode the scheduled theme has no variant for serves the theme as it is (meta.mode says which one was sent)
+function buildScheduledPayload(at = new Date(), mode, contrast) {
+    const { themeName, rule } = resolveActiveTheme(at);
+    const theme = themes[themeName];
+    const variant = getThemeVariant(theme, mode, contrast) || getThemeVariant(theme, undefined, contrast);
+    return buildThemePayload(theme.name, variant.colors, variant.styling_rules, {
+        meta: { mode: variant.mode, contrast: variant.contrast, schedule: { ...rule, theme: themeName, at: at.toISOString() } }
+    });
+}
+
+// Live theme stream (Server-Sent Events)
+const streamClients = new Set();
+const STREAM_HEARTBEAT = 25000;
+let rotationTimer = null;
+let lastBroadcastTheme = null;
+
+function sendStreamEvent(client, event, data) {
+    client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function broadcastActiveTheme() {
+    const themeName = getActiveThemeName();
+    if (themeName === lastBroadcastTheme) {
+        return;
+    }
+    lastBroadcastTheme = themeName;
+    // One payload per mode and contrast in use, so dark and high contrast clients get their variant
+    const payloads = {};
+    streamClients.forEach(client => {
+        const key = `${client.mode || ''}/${client.contrast || ''}`;
+        if (!payloads[key]) {
+            payloads[key] = buildScheduledPayload(new Date(), client.mode, client.contrast);
+        }
+        sendStreamEvent(client, 'theme', payloads[key]);
+    });
+    console.log(`Broadcast theme change to ${streamClients.size} client(s): ${themes[themeName].name}`);
+}
+
+function broadcastToggle(clientId, payload) {
+    streamClients.forEach(client => {
+        if (client.clientId === clientId) {
+            sendStreamEvent(client, 'toggle', payload);
+        }
+    });
+}
+
+// Re-check the schedule at each poll boundary while anyone is listening
+function scheduleRotationBroadcast() {
+    if (rotationTimer || streamClients.size === 0) {
+        return;
+    }
+    const pollInterval = getPollInterval(rotationSchedule);
+    const wait = pollInterval - (Date.now() % pollInterval);
+    rotationTimer = setTimeout(() => {
+        rotationTimer = null;
+        try {
+            broadcastActiveTheme();
+        } catch (error) {
+            console.error('Error broadcasting theme:', error);
+        }
+        scheduleRotationBroadcast();
+    }, wait);
+}
+
+app.get('/theme/stream', (req, res) => {
+    const { mode, contrast, clientId } = req.query;
+    if (mode !== undefined && !MODES.includes(mode)) {
+        return sendInvalidMode(res, mode);
+    }
+    if (contrast !== undefined && !CONTRASTS.includes(contrast)) {
+        return sendInvalidContrast(res, contrast);
+    }
+    if (clientId !== undefined && !isClientId(clientId)) {
+        return sendInvalidClientId(res, clientId);
+    }
+    const client = { res, clientId: clientId || null, mode, contrast };
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.write(': connected\n\n');
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT);
+    streamClients.add(client);
+    if (lastBroadcastTheme === null) {
+        lastBroadcastTheme = getActiveThemeName();
+    }
+    scheduleRotationBroadcast();
+    console.log(`Stream client connected${client.clientId ? ` (${client.clientId})` : ''}`);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        streamClients.delete(client);
+        if (streamClients.size === 0 && rotationTimer) {
+            clearTimeout(rotationTimer);
+            rotationTimer = null;
+            lastBroadcastTheme = null;
+        }
+    });
+});
 
-// Get current theme
+// Get current theme; ?at=<ISO time> previews what the schedule serves at that moment
 app.get('/theme', (req, res) => {
     try {
-        const themeNames = Object.keys(themes);
-        const themeIndex = Math.floor(Date.now() / 30000) % themeNames.length;
-        const themeName = themeNames[themeIndex];
-        const theme = themes[themeName];
-        console.log(`Serving theme: ${theme.name}`);
-        res.json({
-            success: true,
-            theme: theme.name,
-            colors: theme.colors,
-            styling_rules: theme.styling_rules || {},
-            meta: {
-                timestamp: new Date().toISOString(),
-                version: "1.0.0"
+        const { format, mode, contrast } = req.query;
+        if (!isColorFormat(format)) {
+            return sendInvalidFormat(res, format);
+        }
+        if (mode !== undefined && !MODES.includes(mode)) {
+            return sendInvalidMode(res, mode);
+        }
+        if (contrast !== undefined && !CONTRASTS.includes(contrast)) {
+            return sendInvalidContrast(res, contrast);
+        }
+        let at = new Date();
+        if (req.query.at !== undefined) {
+            at = new Date(String(req.query.at));
+            if (Number.isNaN(at.getTime())) {
+                return res.status(400).json({
+                    success: false,
+                    error: "Invalid parameters",
+                    details: [{ path: 'at', message: `must be an ISO date (got ${JSON.stringify(req.query.at)})` }]
+                });
             }
-        });
+        }
+        const payload = buildScheduledPayload(at, mode, contrast);
+        console.log(`Serving theme: ${payload.theme} (${payload.meta.schedule.name}, ${payload.meta.mode}, ${payload.meta.contrast} contrast)`);
+        sendCacheable(req, res, formatPayload(payload, format), scheduledCacheControl(at, req.query.at !== undefined));
     } catch (error) {
         console.error('Error serving theme:', error);
-        res.status(500).json({ success: false, error: "Internal server error", message: error.message });
+        sendServerError(res, error);
     }
 });
 
-// Get specific theme by name
-app.get('/theme/:themeName', (req, res) => {
+// Generate a palette from the Cividis colormap
+// ?stops=2..32&start=0..1&end=0..1&base=light|dark&assign=role:stop,...
+app.get('/theme/generate', (req, res) => {
+    try {
+        const { options, errors } = parseGenerateQuery(req.query);
+        if (errors.length) {
+            return res.status(400).json({ success: false, error: "Invalid parameters", details: errors });
+        }
+        if (!isColorFormat(req.query.format)) {
+            return sendInvalidFormat(res, req.query.format);
+        }
+        const { colors, stops, assignment } = generatePalette(options);
+        console.log(`Serving generated palette (${options.stops} stops, ${options.start}-${options.end}, ${options.base})`);
+        res.json(formatPayload(buildThemePayload('Generated Cividis', colors, generateIntelligentStyling(colors), {
+            meta: {
+                generator: {
+                    colormap: 'cividis',
+                    interpolation: 'oklab',
+                    range: [options.start, options.end],
+                    base: options.base,
+                    stops,
+                    assignment
+                }
+            }
+        }), req.query.format));
+    } catch (error) {
+        console.error('Error generating palette:', error);
+        sendServerError(res, error);
+    }
+});
+
+// Theme exports: /theme/:themeName.css, .scss, .tokens.json, .tailwind.js
+app.get('/theme/:exportName', (req, res, next) => {
+    const exportRequest = parseExportName(req.params.exportName);
+    if (!exportRequest) {
+        return next();
+    }
+    try {
+        const theme = themes[exportRequest.id.toLowerCase()];
+        if (!theme) {
+            return res.status(404).json({
+                success: false,
+                error: "Theme not found",
+                availableThemes: Object.keys(themes)
+            });
+        }
+        const { contentType, render } = EXPORT_FORMATS[exportRequest.format];
+        console.log(`Serving ${exportRequest.format} export: ${theme.name}`);
+        res.type(contentType);
+        res.set('Content-Disposition', `inline; filename="${exportRequest.id.toLowerCase()}.${exportRequest.format}"`);
+        res.send(render(exportRequest.id.toLowerCase(), theme));
+    } catch (error) {
+        console.error('Error exporting theme:', error);
+        sendServerError(res, error);
+    }
+});
+
+// WCAG contrast report for a theme: every role pair plus each styling rule
+app.get('/theme/:themeName/audit', (req, res, next) => {
     try {
         const { themeName } = req.params;
+        // GET /theme/toggle/audit is a client id, not a theme
+        if (themeName === 'toggle') {
+            return next();
+        }
         const theme = themes[themeName.toLowerCase()];
         if (!theme) {
             return res.status(404).json({
@@ -158,89 +624,338 @@ app.get('/theme/:themeName', (req, res) => {
                 availableThemes: Object.keys(themes)
             });
         }
-        console.log(`Serving specific theme: ${theme.name}`);
+        const pairs = auditPalette(theme.colors);
+        const rules = Object.entries(theme.styling_rules).map(([name, rule]) => ({
+            name,
+            text_color: rule.text_color,
+            background: rule.background,
+            contrast_ratio: rule.contrast_ratio,
+            wcag_aa: rule.wcag_aa,
+            wcag_aaa: rule.wcag_aaa
+        }));
+        console.log(`Serving contrast audit: ${theme.name}`);
         res.json({
             success: true,
             theme: theme.name,
-            colors: theme.colors,
-            styling_rules: theme.styling_rules || {},
-            meta: {
-                timestamp: new Date().toISOString(),
-                version: "1.0.0"
-            }
+            pairs,
+            styling_rules: rules,
+            summary: {
+                pairs: pairs.length,
+                wcag_aa: pairs.filter(pair => pair.wcag_aa).length,
+                wcag_aaa: pairs.filter(pair => pair.wcag_aaa).length,
+                rules_failing_aa: rules.filter(rule => !rule.wcag_aa).map(rule => rule.name)
+            },
+            meta: { timestamp: new Date().toISOString(), version: "1.0.0" }
         });
+    } catch (error) {
+        console.error('Error serving contrast audit:', error);
+        sendServerError(res, error);
+    }
+});
+
+// Get specific theme by name
+app.get('/theme/:themeName', (req, res) => {
+    try {
+        const { themeName } = req.params;
+        const { format, mode, contrast } = req.query;
+        const theme = themes[themeName.toLowerCase()];
+        if (!theme) {
+            return res.status(404).json({
+                success: false,
+                error: "Theme not found",
+                availableThemes: Object.keys(themes)
+            });
+        }
+        if (!isColorFormat(format)) {
+            return sendInvalidFormat(res, format);
+        }
+        if (contrast !== undefined && !CONTRASTS.includes(contrast)) {
+            return sendInvalidContrast(res, contrast);
+        }
+        const variant = getThemeVariant(theme, mode, contrast);
+        if (!variant) {
+            return sendInvalidMode(res, mode, availableModes(theme.colors));
+        }
+        console.log(`Serving specific theme: ${theme.name} (${variant.mode}, ${variant.contrast} contrast)`);
+        sendCacheable(req, res, formatPayload(buildThemePayload(theme.name, variant.colors, variant.styling_rules, {
+            meta: { mode: variant.mode, contrast: variant.contrast }
+        }), format));
     } catch (error) {
         console.error('Error serving specific theme:', error);
-        res.status(500).json({ success: false, error: "Internal server error", message: error.message });
+        sendServerError(res, error);
     }
 });
 
 // Get list of available themes
 app.get('/themes', (req, res) => {
     try {
+        const { format } = req.query;
+        if (!isColorFormat(format)) {
+            return sendInvalidFormat(res, format);
+        }
         const themeList = Object.entries(themes).map(([key, theme]) => ({
             id: key,
             name: theme.name,
-            preview: {
-                primary: theme.colors.primary,
-                secondary: theme.colors.secondary,
-                accent: theme.colors.accent
-            }
+            builtIn: BUILT_IN_THEMES.includes(key),
+            modes: availableModes(theme.colors),
+            preview: formatPayload({
+                colors: {
+                    primary: theme.colors.primary,
+                    secondary: theme.colors.secondary,
+                    accent: theme.colors.accent
+                }
+            }, format).colors
         }));
-        res.json({ success: true, themes: themeList, total: themeList.length });
+        sendCacheable(req, res, { success: true, themes: themeList, total: themeList.length });
     } catch (error) {
         console.error('Error listing themes:', error);
         res.status(500).json({ success: false, error: "Internal server error", message: error.message });
     }
 });
 
+// Registry edits: every live client hears which theme changed (clients pinned to it refetch it), and
+// an edit to the rotating theme is pushed again as a `theme` event
+function broadcastRegistryChange(id, action) {
+    if (streamClients.size === 0) {
+        return;
+    }
+    const change = { success: true, id, action, meta: { timestamp: new Date().toISOString(), version: "1.0.0" } };
+    streamClients.forEach(client => sendStreamEvent(client, 'theme-updated', change));
+    console.log(`Broadcast theme ${action} to ${streamClients.size} client(s): ${id}`);
+    if (id === lastBroadcastTheme) {
+        lastBroadcastTheme = null;
+    }
+    broadcastActiveTheme();
+}
+
+function sendInvalidTheme(res, errors) {
+    res.status(400).json({ success: false, error: "Invalid theme", details: errors });
+}
+
+function sendBuiltInProtected(res, id) {
+    res.status(403).json({ success: false, error: "Built-in themes cannot be changed", theme: id });
+}
+
+// Theme edits need THEMES_ADMIN_TOKEN, sent as "Authorization: Bearer <token>"; without the variable they are switched off
+// CORS lets any page call the API, so an open write route would let any page rewrite the shared themes
+
+function tokenDigest(value) {
+    return crypto.createHash('sha256').update(value).digest();
+}
+
+function requireAdminToken(req, res, next) {
+    const adminToken = process.env.THEMES_ADMIN_TOKEN;
+    if (!adminToken) {
+        return res.status(403).json({
+            success: false,
+            error: "Theme editing is disabled",
+            message: 'Set THEMES_ADMIN_TOKEN on the server to enable POST, PUT and DELETE /themes'
+        });
+    }
+    const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+    // Digests have equal lengths, so the comparison takes the same time whatever was sent
+    if (!match || !crypto.timingSafeEqual(tokenDigest(match[1].trim()), tokenDigest(adminToken))) {
+        res.set('WWW-Authenticate', 'Bearer realm="themes"');
+        return res.status(401).json({ success: false, error: "Unauthorized", message: 'Send the admin token as "Authorization: Bearer <token>"' });
+    }
+    next();
+}
+
+// Create a theme: { id?, name, colors }; the id defaults to a slug of the name
+app.post('/themes', requireAdminToken, (req, res) => {
+    try {
+        const { id: requestedId, name, colors } = req.body || {};
+        const id = String(requestedId || name || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+        if (!THEME_ID_PATTERN.test(id) || RESERVED_THEME_IDS.includes(id)) {
+            return sendInvalidTheme(res, [{ path: 'id', message: `must be 1-40 lowercase letters, digits or dashes and not one of ${RESERVED_THEME_IDS.join(', ')} (got ${JSON.stringify(id)})` }]);
+        }
+        if (themes[id]) {
+            return res.status(409).json({ success: false, error: "Theme already exists", theme: id });
+        }
+        const theme = { name, colors: normalizeSubmittedColors(colors) };
+        const errors = validateSubmittedTheme(theme);
+        if (errors.length) {
+            return sendInvalidTheme(res, errors);
+        }
+        persistThemes(custom => { custom[id] = theme; });
+        console.log(`Theme created: ${id}`);
+        broadcastRegistryChange(id, 'created');
+        res.status(201).json({ success: true, theme: { id, ...theme } });
+    } catch (error) {
+        console.error('Error creating theme:', error);
+        sendServerError(res, error);
+    }
+});
+
+// Replace a custom theme: { name, colors }
+app.put('/themes/:id', requireAdminToken, (req, res) => {
+    try {
+        const id = req.params.id.toLowerCase();
+        if (BUILT_IN_THEMES.includes(id)) {
+            return sendBuiltInProtected(res, id);
+        }
+        if (!themes[id]) {
+            return res.status(404).json({ success: false, error: "Theme not found", theme: id });
+        }
+        const { name, colors } = req.body || {};
+        const theme = { name, colors: normalizeSubmittedColors(colors) };
+        const errors = validateSubmittedTheme(theme);
+        if (errors.length) {
+            return sendInvalidTheme(res, errors);
+        }
+        persistThemes(custom => { custom[id] = theme; });
+        console.log(`Theme updated: ${id}`);
+        broadcastRegistryChange(id, 'updated');
+        res.json({ success: true, theme: { id, ...theme } });
+    } catch (error) {
+        console.error('Error updating theme:', error);
+        sendServerError(res, error);
+    }
+});
+
+app.delete('/themes/:id', requireAdminToken, (req, res) => {
+    try {
+        const id = req.params.id.toLowerCase();
+        if (BUILT_IN_THEMES.includes(id)) {
+            return sendBuiltInProtected(res, id);
+        }
+        if (!themes[id]) {
+            return res.status(404).json({ success: false, error: "Theme not found", theme: id });
+        }
+        persistThemes(custom => { delete custom[id]; });
+        console.log(`Theme deleted: ${id}`);
+        broadcastRegistryChange(id, 'deleted');
+        res.json({ success: true, deleted: id });
+    } catch (error) {
+        console.error('Error deleting theme:', error);
+        sendServerError(res, error);
+    }
+});
+
+// Client ids key the toggle store, so only short tokens are accepted (the engine sends a UUID)
+const CLIENT_ID_PATTERN = /^[\w-]{1,64}$/;
+
+function isClientId(clientId) {
+    return typeof clientId === 'string' && CLIENT_ID_PATTERN.test(clientId);
+}
+
+function sendInvalidClientId(res, clientId) {
+    res.status(400).json({
+        success: false,
+        error: "Invalid parameters",
+        details: [{ path: 'clientId', message: `must be 1-64 letters, digits, "_" or "-" (got ${JSON.stringify(clientId)})` }]
+    });
+}
+
+// Build the toggle payload for a client's current state
+function buildToggleResponse(clientId, active) {
+    if (active) {
+        const theme = themes.cividis;
+        return buildThemePayload(theme.name, theme.colors, theme.styling_rules, {
+            toggled: true,
+            state: 'cividis',
+            button_text: 'Turn Off Cividis',
+            meta: { clientId }
+        });
+    }
+    return buildThemePayload(null, TRADITIONAL_COLORS, generateIntelligentStyling(TRADITIONAL_COLORS), {
+        toggled: false,
+        state: 'traditional',
+        button_text: 'Cividis Theme',
+        meta: { clientId }
+    });
+}
+
+// Toggle response for a client that has never toggled (or whose state expired): no palette
+function buildEmptyToggleResponse(clientId) {
+    return {
+        success: true,
+        toggled: false,
+        state: null,
+        button_text: 'Cividis Theme',
+        meta: { timestamp: new Date().toISOString(), version: "1.0.0", clientId }
+    };
+}
+
+async function readToggleState(req, res, clientId) {
+    const state = await toggleStore.get(clientId);
+    if (!state) {
+        return res.json(buildEmptyToggleResponse(clientId));
+    }
+    console.log(`Restoring toggle state for client ${clientId}`);
+    res.json(formatPayload(buildToggleResponse(clientId, state === 'cividis'), req.query.format));
+}
+
 // Toggle theme endpoint
-app.post('/theme/toggle', (req, res) => {
+// Send { restore: true } to read the client's current state without flipping it (same as GET /theme/toggle/:clientId)
+app.post('/theme/toggle', async (req, res) => {
     try {
-        const { clientId = 'default' } = req.body;
-        const currentState = toggleStates[clientId] || false;
-        const newState = !currentState;
-        toggleStates[clientId] = newState;
-        if (newState) {
-            const theme = themes.cividis;
-            console.log(`Toggle ON: Serving Cividis theme for client ${clientId}`);
-            res.json({
-                success: true,
-                toggled: true,
-                state: 'cividis',
-                theme: theme.name,
-                colors: theme.colors,
-                styling_rules: theme.styling_rules || {},
-                button_text: 'Turn Off Cividis',
-                meta: { timestamp: new Date().toISOString(), version: "1.0.0", clientId }
-            });
-        } else {
-            const traditionalColors = {
-                primary: '#dc2626',
-                secondary: '#9333ea', 
-                accent: '#059669',
-                success: '#16a34a',
-                warning: '#ea580c',
-                info: '#0ea5e9',
-                background: '#ffffff',
-                surface: '#f8f9fa',
-                text: '#1b1b1b',
-                border: '#e0e0e0'
-            };
-            console.log(`Toggle OFF: Serving traditional colors for client ${clientId}`);
-            res.json({
-                success: true,
-                toggled: false,
-                state: 'traditional',
-                colors: traditionalColors,
-                styling_rules: generateIntelligentStyling(traditionalColors),
-                button_text: 'Cividis Theme',
-                meta: { timestamp: new Date().toISOString(), version: "1.0.0", clientId }
-            });
+        const { clientId = 'default', restore = false } = req.body || {};
+        if (!isClientId(clientId)) {
+            return sendInvalidClientId(res, clientId);
+        }
+        if (!isColorFormat(req.query.format)) {
+            return sendInvalidFormat(res, req.query.format);
         }
+        if (restore) {
+            return await readToggleState(req, res, clientId);
+        }
+        const newState = await toggleStore.get(clientId) === 'cividis' ? 'traditional' : 'cividis';
+        await toggleStore.set(clientId, newState);
+        console.log(newState === 'cividis'
+            ? `Toggle ON: Serving Cividis theme for client ${clientId}`
+            : `Toggle OFF: Serving traditional colors for client ${clientId}`);
+        const payload = buildToggleResponse(clientId, newState === 'cividis');
+        res.json(formatPayload(payload, req.query.format));
+        broadcastToggle(clientId, payload);
     } catch (error) {
         console.error('Error handling theme toggle:', error);
-        res.status(500).json({ success: false, error: "Internal server error", message: error.message });
+        sendServerError(res, error);
+    }
+});
+
+// Read a client's toggle state without flipping it
+app.get('/theme/toggle/:clientId', async (req, res) => {
+    try {
+        if (!isClientId(req.params.clientId)) {
+            return sendInvalidClientId(res, req.params.clientId);
+        }
+        if (!isColorFormat(req.query.format)) {
+            return sendInvalidFormat(res, req.query.format);
+        }
+        await readToggleState(req, res, req.params.clientId);
+    } catch (error) {
+        console.error('Error reading toggle state:', error);
+        sendServerError(res, error);
+    }
+});
+
+// Set a client's toggle state explicitly: { state: 'cividis' | 'traditional' }
+app.put('/theme/toggle/:clientId', async (req, res) => {
+    try {
+        const { clientId } = req.params;
+        const { state } = req.body || {};
+        if (!isClientId(clientId)) {
+            return sendInvalidClientId(res, clientId);
+        }
+        if (!isColorFormat(req.query.format)) {
+            return sendInvalidFormat(res, req.query.format);
+        }
+        if (!TOGGLE_STATES.includes(state)) {
+            return res.status(400).json({
+                success: false,
+                error: "Invalid toggle state",
+                details: [{ path: 'state', message: `must be one of ${TOGGLE_STATES.join(', ')} (got ${JSON.stringify(state)})` }]
+            });
+        }
+        await toggleStore.set(clientId, state);
+        console.log(`Toggle set to ${state} for client ${clientId}`);
+        const payload = buildToggleResponse(clientId, state === 'cividis');
+        res.json(formatPayload(payload, req.query.format));
+        broadcastToggle(clientId, payload);
+    } catch (error) {
+        console.error('Error setting toggle state:', error);
+        sendServerError(res, error);
     }
 });
 
@@ -254,21 +969,55 @@ app.use((req, res) => {
     res.status(404).json({
         success: false,
         error: "Endpoint not found",
-        availableEndpoints: ["GET /theme", "GET /theme/:themeName", "GET /themes", "GET /health"]
+        availableEndpoints: ["GET /theme", "GET /theme/:themeName", "GET /theme/generate", "GET /theme/:themeName/audit", "GET /theme/:themeName.(css|scss|tokens.json|tailwind.js)", "GET /themes", "POST /themes", "PUT /themes/:id", "DELETE /themes/:id", "POST /theme/toggle", "GET /theme/toggle/:clientId", "PUT /theme/toggle/:clientId", "GET /theme/stream", "GET /health"]
     });
 });
 
 // Error handling middleware
 app.use((error, req, res, next) => {
+    // express.json() errors (malformed JSON, too large, unsupported charset) are the client's, not ours
+    if (error.type && error.status >= 400 && error.status < 500) {
+        return res.status(400).json({
+            success: false,
+            error: "Invalid request body",
+            details: [{ path: 'body', message: error.type === 'entity.parse.failed' ? 'must be valid JSON' : error.message }]
+        });
+    }
     console.error('Unhandled error:', error);
     res.status(500).json({ success: false, error: "Internal server error", message: error.message });
 });
 
+// Log every registry and schedule problem; servers refuse to start when this returns false
+function checkStartup() {
+    const registryErrors = validateRegistry();
+    if (registryErrors.length) {
+        console.error('❌ Refusing to start: invalid theme registry');
+        registryErrors.forEach(e => console.error(`   • ${e.path} ${e.message}`));
+        return false;
+    }
+    const scheduleErrors = scheduleLoadError
+        ? [{ path: 'schedule', message: scheduleLoadError.message }]
+        : validateSchedule(rotationSchedule, Object.keys(themes));
+    if (scheduleErrors.length) {
+        console.error('❌ Refusing to start: invalid rotation schedule');
+        scheduleErrors.forEach(e => console.error(`   • ${e.path} ${e.message}`));
+        return false;
+    }
+    return true;
+}
+
 if (require.main === module) {
     console.log('🔧 Attempting to start API server...');
+    if (!checkStartup()) {
+        process.exit(1);
+    }
     app.listen(PORT, () => {
         console.log(`🎨 Cividis Theme API Server running on port ${PORT}`);
         console.log(`📡 Theme endpoint: http://localhost:${PORT}/theme`);
+        console.log(`📺 Live stream: http://localhost:${PORT}/theme/stream`);
+        console.log(`🔀 Toggle store: ${toggleStore.type}`);
+        console.log(`✏️  Theme editing: ${process.env.THEMES_ADMIN_TOKEN ? 'on (admin token required)' : 'off (set THEMES_ADMIN_TOKEN)'}`);
+        console.log(`🗓️  Rotation schedule: ${rotationSchedule.rules.map(rule => rule.name || rule.type).join(' → ')}`);
         console.log(`📋 Available themes: ${Object.keys(themes).join(', ')}`);
         console.log(`🔍 Health check: http://localhost:${PORT}/health`);
     }).on('error', (err) => {
@@ -278,3 +1027,5 @@ if (require.main === module) {
 }
 
 module.exports = app;
+// Used by simple-server.js, which mounts this app under /api
+module.exports.checkStartup = checkStartup;
@@ -0,0 +1,291 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Themes created here go to a throwaway file; the schedule is pinned so responses do not rotate mid-test
+const dataDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'cividis-api-'));
+process.env.THEMES_FILE = path.join(dataDirectory, 'themes.json');
+process.env.THEME_SCHEDULE = JSON.stringify({ rules: [{ type: 'fixed', theme: 'cividis' }] });
+process.env.TOGGLE_STORE = 'memory';
+process.env.THEMES_ADMIN_TOKEN = 'test-admin-token';
+
+const { validateThemePayload } = require('./theme-schema');
+const app = require('./api-server');
+
+let server;
+let base;
+
+test.before(async () => {
+    console.log = () => {};
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+    server.close();
+    fs.rmSync(dataDirectory, { recursive: true, force: true });
+});
+
+async function request(method, url, { body, headers = {} } = {}) {
+    const response = await fetch(base + url, {
+        method,
+        headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+        body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body))
+    });
+    const text = await response.text();
+    return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+}
+
+const palette = {
+    primary: '#1d3557',
+    secondary: '#457b9d',
+    accent: '#e9c46a',
+    success: '#2a9d8f',
+    warning: '#f4a261',
+    info: '#a8dadc',
+    background: '#ffffff',
+    surface: '#f1faee',
+    text: '#1b1b1b',
+    border: '#dddddd'
+};
+
+test('the startup checks pass for the built-in registry', () => {
+    assert.equal(app.checkStartup(), true);
+});
+
+test('GET /theme serves the scheduled theme as a valid payload', async () => {
+    const { status, headers, body } = await request('GET', '/theme');
+    assert.equal(status, 200);
+    assert.deepEqual(validateThemePayload(body), []);
+    assert.equal(body.theme, 'Cividis');
+    assert.equal(body.meta.schedule.theme, 'cividis');
+    assert.equal(body.meta.mode, 'light');
+    assert.equal(headers.get('cache-control'), 'no-cache');
+});
+
+test('theme routes answer 304 to a matching If-None-Match', async () => {
+    const first = await request('GET', '/theme/alternate');
+    const etag = first.headers.get('etag');
+    assert.match(etag, /^"[\w-]{27}"$/);
+    const second = await fetch(`${base}/theme/alternate`, { headers: { 'If-None-Match': etag } });
+    assert.equal(second.status, 304);
+    const other = await request('GET', '/theme/alternate?mode=dark');
+    assert.notEqual(other.headers.get('etag'), etag);
+});
+
+test('unknown themes and bad parameters are rejected', async () => {
+    const missing = await request('GET', '/theme/nope');
+    assert.equal(missing.status, 404);
+    assert.ok(missing.body.availableThemes.includes('cividis'));
+
+    const format = await request('GET', '/theme/cividis?format=cmyk');
+    assert.equal(format.status, 400);
+    assert.equal(format.body.details[0].path, 'format');
+
+    const at = await request('GET', '/theme?at=tomorrow');
+    assert.equal(at.status, 400);
+    assert.equal(at.body.details[0].path, 'at');
+
+    const mode = await request('GET', '/theme/cividis?mode=sepia');
+    assert.equal(mode.status, 400);
+    assert.equal(mode.body.details[0].path, 'mode');
+});
+
+test('?contrast=more serves a high contrast variant with its own ETag', async () => {
+    const normal = await request('GET', '/theme/cividis?mode=dark');
+    assert.equal(normal.body.meta.contrast, 'normal');
+    for (const url of ['/theme/cividis?mode=dark&contrast=more', '/theme?mode=dark&contrast=more']) {
+        const { status, headers, body } = await request('GET', url);
+        assert.equal(status, 200, url);
+        assert.deepEqual(validateThemePayload(body), []);
+        assert.equal(body.meta.mode, 'dark');
+        assert.equal(body.meta.contrast, 'more');
+        assert.equal(body.colors.background, '#000000');
+        assert.notEqual(headers.get('etag'), normal.headers.get('etag'));
+    }
+
+    const invalid = await request('GET', '/theme/cividis?contrast=max');
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.details[0].path, 'contrast');
+    assert.equal((await request('GET', '/theme/stream?contrast=max')).status, 400);
+});
+
+test('?format converts every colour in the payload', async () => {
+    const { body } = await request('GET', '/theme/cividis?format=channels');
+    assert.equal(body.colors.primary, '0 32 76');
+    assert.equal(body.meta.format, 'channels');
+});
+
+test('dark variants are derived and listed in /themes', async () => {
+    const { status, body } = await request('GET', '/theme/cividis?mode=dark');
+    assert.equal(status, 200);
+    assert.equal(body.meta.mode, 'dark');
+    assert.deepEqual(validateThemePayload(body), []);
+
+    const list = await request('GET', '/themes');
+    const cividis = list.body.themes.find(theme => theme.id === 'cividis');
+    assert.deepEqual(cividis.modes, ['light', 'dark']);
+    assert.equal(cividis.builtIn, true);
+});
+
+test('GET /theme/generate returns a palette in the theme payload shape', async () => {
+    const { status, body } = await request('GET', '/theme/generate?stops=8&base=dark');
+    assert.equal(status, 200);
+    assert.deepEqual(validateThemePayload(body), []);
+    assert.equal(body.meta.generator.stops.length, 8);
+
+    const invalid = await request('GET', '/theme/generate?stops=99&start=2');
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(invalid.body.details.map(detail => detail.path), ['stops', 'start']);
+});
+
+test('exports are served with their content types', async () => {
+    const css = await fetch(`${base}/theme/cividis.css`);
+    assert.equal(css.headers.get('content-type'), 'text/css; charset=utf-8');
+    assert.match(await css.text(), /--theme-primary: #00204c;/);
+    const tokens = await fetch(`${base}/theme/cividis.tokens.json`);
+    assert.equal((await tokens.json()).color.primary.$value, '#00204c');
+});
+
+test('GET /theme/:themeName/audit reports every role pair', async () => {
+    const { body } = await request('GET', '/theme/cividis/audit');
+    assert.equal(body.summary.pairs, 45);
+    assert.equal(body.styling_rules.length, 6);
+});
+
+test('the toggle flips and restores a client\'s state', async () => {
+    const empty = await request('GET', '/theme/toggle/tester');
+    assert.equal(empty.body.state, null);
+    const on = await request('POST', '/theme/toggle', { body: { clientId: 'tester' } });
+    assert.equal(on.body.state, 'cividis');
+    const restored = await request('POST', '/theme/toggle', { body: { clientId: 'tester', restore: true } });
+    assert.equal(restored.body.state, 'cividis');
+    const off = await request('PUT', '/theme/toggle/tester', { body: { state: 'traditional' } });
+    assert.equal(off.body.colors.primary, '#dc2626');
+    const invalid = await request('PUT', '/theme/toggle/tester', { body: { state: 'purple' } });
+    assert.equal(invalid.status, 400);
+});
+
+test('toggle routes only take short token client ids', async () => {
+    const tooLong = 'x'.repeat(65);
+    for (const [method, url, body] of [
+        ['GET', `/theme/toggle/${tooLong}`],
+        ['GET', '/theme/toggle/a.b'],
+        ['PUT', '/theme/toggle/a%20b', { state: 'cividis' }],
+        ['POST', '/theme/toggle', { clientId: 'a/b' }],
+        ['POST', '/theme/toggle', { clientId: 42 }],
+        ['GET', '/theme/stream?clientId=a.b']
+    ]) {
+        const response = await request(method, url, { body });
+        assert.equal(response.status, 400, `${method} ${url}`);
+        assert.equal(response.body.details[0].path, 'clientId');
+    }
+
+    // Names that are Object.prototype members are ordinary clients
+    for (const clientId of ['__proto__', 'constructor', 'toString']) {
+        assert.equal((await request('GET', `/theme/toggle/${clientId}`)).body.state, null, clientId);
+        const on = await request('POST', '/theme/toggle', { body: { clientId } });
+        assert.equal(on.body.state, 'cividis', clientId);
+        assert.equal((await request('GET', `/theme/toggle/${clientId}`)).body.state, 'cividis', clientId);
+    }
+});
+
+test('custom themes can be created, replaced and deleted with the admin token', async () => {
+    const auth = { Authorization: 'Bearer test-admin-token' };
+    const created = await request('POST', '/themes', { body: { name: 'Team Brand', colors: palette }, headers: auth });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.theme.id, 'team-brand');
+    assert.equal((await request('GET', '/theme/team-brand')).body.colors.primary, '#1d3557');
+    const listed = (await request('GET', '/themes')).body.themes.find(theme => theme.id === 'team-brand');
+    assert.equal(listed.builtIn, false);
+    assert.deepEqual(JSON.parse(fs.readFileSync(process.env.THEMES_FILE, 'utf8')).themes['team-brand'].colors, palette);
+
+    const duplicate = await request('POST', '/themes', { body: { name: 'Team Brand', colors: palette }, headers: auth });
+    assert.equal(duplicate.status, 409);
+
+    const updated = await request('PUT', '/themes/team-brand', { body: { name: 'Team Brand 2', colors: { ...palette, primary: 'rgb(10 20 30)' } }, headers: auth });
+    assert.equal(updated.status, 200);
+    assert.equal((await request('GET', '/theme/team-brand')).body.theme, 'Team Brand 2');
+
+    const deleted = await request('DELETE', '/themes/team-brand', { headers: auth });
+    assert.equal(deleted.status, 200);
+    assert.equal((await request('GET', '/theme/team-brand')).status, 404);
+});
+
+test('theme edits are announced on the stream with the edited id', async () => {
+    const auth = { Authorization: 'Bearer test-admin-token' };
+    const controller = new AbortController();
+    const stream = await fetch(`${base}/theme/stream`, { signal: controller.signal });
+    const reader = stream.body.pipeThrough(new TextDecoderStream()).getReader();
+    let received = '';
+    while (!received.includes(': connected')) {
+        received += (await reader.read()).value;
+    }
+    await request('POST', '/themes', { body: { name: 'Live Brand', colors: palette }, headers: auth });
+    while (!received.includes('event: theme-updated')) {
+        received += (await reader.read()).value;
+    }
+    controller.abort();
+    const data = JSON.parse(/event: theme-updated\ndata: (.*)\n/.exec(received)[1]);
+    assert.equal(data.id, 'live-brand');
+    assert.equal(data.action, 'created');
+    await request('DELETE', '/themes/live-brand', { headers: auth });
+});
+
+test('invalid palettes and built-in themes are refused', async () => {
+    const auth = { Authorization: 'Bearer test-admin-token' };
+    const invalid = await request('POST', '/themes', { body: { name: 'Broken', colors: { ...palette, primary: 'blue', extra: '#fff' } }, headers: auth });
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(invalid.body.details.map(detail => detail.path), ['theme.colors.primary', 'theme.colors.extra']);
+    const reserved = await request('POST', '/themes', { body: { id: 'generate', name: 'Generate', colors: palette }, headers: auth });
+    assert.equal(reserved.status, 400);
+    const builtIn = await request('DELETE', '/themes/cividis', { headers: auth });
+    assert.equal(builtIn.status, 403);
+});
+
+test('palettes in every ?format= syntax are accepted, malformed ones are not', async () => {
+    const auth = { Authorization: 'Bearer test-admin-token' };
+    for (const format of ['rgb', 'hsl', 'oklch', 'channels']) {
+        const { body } = await request('GET', `/theme/cividis?format=${format}`);
+        const created = await request('POST', '/themes', { body: { name: `Cividis ${format}`, colors: body.colors }, headers: auth });
+        assert.equal(created.status, 201, format);
+    }
+    for (const primary of ['rgb(1.2.3, 0, 0)', 'rgb(0, 0 0)', 'hsl(10 50% 50%, 0.5)', 'oklch(. . .)', 'oklch(0.5, 0.1, 250)', '0, 32, 76', '. . .']) {
+        const invalid = await request('POST', '/themes', { body: { name: 'Malformed', colors: { ...palette, primary } }, headers: auth });
+        assert.equal(invalid.status, 400, primary);
+        assert.deepEqual(invalid.body.details.map(detail => detail.path), ['theme.colors.primary'], primary);
+    }
+});
+
+test('theme edits need the admin token, and are off without one', async (t) => {
+    const body = { name: 'Intruder', colors: palette };
+    const anonymous = await request('POST', '/themes', { body });
+    assert.equal(anonymous.status, 401);
+    assert.match(anonymous.headers.get('www-authenticate'), /^Bearer/);
+    const wrong = await request('DELETE', '/themes/cividis', { headers: { Authorization: 'Bearer nope' } });
+    assert.equal(wrong.status, 401);
+
+    delete process.env.THEMES_ADMIN_TOKEN;
+    t.after(() => { process.env.THEMES_ADMIN_TOKEN = 'test-admin-token'; });
+    const disabled = await request('POST', '/themes', { body, headers: { Authorization: 'Bearer test-admin-token' } });
+    assert.equal(disabled.status, 403);
+    assert.equal(disabled.body.error, 'Theme editing is disabled');
+    assert.equal((await request('GET', '/theme/intruder')).status, 404);
+});
+
+test('a malformed JSON body is a 400, not a server error', async () => {
+    for (const [method, url] of [['POST', '/themes'], ['POST', '/theme/toggle'], ['PUT', '/theme/toggle/tester']]) {
+        const { status, body } = await request(method, url, { body: '{"name": ', headers: { Authorization: 'Bearer test-admin-token' } });
+        assert.equal(status, 400, url);
+        assert.deepEqual(body.details, [{ path: 'body', message: 'must be valid JSON' }]);
+    }
+});
+
+test('unknown routes list the available endpoints', async () => {
+    const { status, body } = await request('GET', '/nowhere');
+    assert.equal(status, 404);
+    assert.ok(body.availableEndpoints.includes('GET /theme'));
+});
@@ -7,18 +7,78 @@
  * - Add fallback for :has() selectors
  */
 
+// Shared helpers: required in Node, loaded from theme-tokens.js / theme-schema.js in the browser
+const cividisIsCommonJS = typeof module !== 'undefined' && module.exports && typeof require === 'function';
+const CividisTokens = cividisIsCommonJS
+    ? require('./theme-tokens')
+    : (typeof window !== 'undefined' ? window.CividisThemeTokens : undefined);
+const CividisSchema = cividisIsCommonJS
+    ? require('./theme-schema')
+    : (typeof window !== 'undefined' ? window.CividisThemeSchema : undefined);
+
 class CividisTheme {
     // Initialize the theme engine (was missing, causing error)
     async init() {
+        // destroy() right after construction runs before this microtask
+        if (this.isDestroyed) {
+            return;
+        }
         try {
             this.log('Initializing Cividis Theme Engine...');
-            // Fetch and apply theme on load
-            const themeData = await this.fetchThemeData();
-            if (themeData && themeData.colors) {
-                this.applyTheme(themeData.colors);
+            // Fetch and apply theme on load, starting from the theme the user picked last time
+            if (this.config.persist) {
+                this.selectedTheme = this.loadThemeChoice();
+            }
+            let themeUrl = this.getThemeUrl();
+            let themeData;
+            try {
+                themeData = await this.fetchThemeData(themeUrl);
+            } catch (error) {
+                if (this.isDestroyed) {
+                    return;
+                }
+                if (!this.selectedTheme || error.status !== 404) {
+                    throw error;
+                }
+                // The saved theme no longer exists on the server; go back to apiEndpoint
+                this.log(`Saved theme "${this.selectedTheme}" not found, using apiEndpoint`);
+                this.saveThemeChoice(null);
+                this.selectedTheme = null;
+                themeUrl = this.getThemeUrl();
+                themeData = await this.fetchThemeData(themeUrl);
+            }
+            // destroy() may have run while a request was in flight; nothing may be set up after it
+            if (this.isDestroyed) {
+                this.log('Destroyed during initialization, setup stopped');
+                return;
+            }
+            // Sample the host page's own colours before the theme changes anything
+            if (this.config.intelligentMapping) {
+                this.detectedColors = this.detectPageColors();
+            }
+            if (themeData && themeData.colors && this.applyTheme(themeData.colors, themeData.styling_rules)) {
+                this.setCurrentTheme(themeData, themeUrl);
+                if (this.detectedColors) {
+                    this.mapDetectedColors(themeData.colors);
+                }
+            }
+            // Create the CTA; a toggle CTA restores the mode this client picked with it last time
+            if (this.config.ctaConfig.position !== 'none') {
+                this.createCTAButton();
+                if (this.config.ctaConfig.type === 'toggle') {
+                    await this.restoreToggleState();
+                }
+            }
+            if (this.isDestroyed) {
+                this.log('Destroyed during initialization, setup stopped');
+                return;
+            }
+            if (this.config.respectPreferences) {
+                this.watchPreferences();
+            }
+            if (this.config.live) {
+                this.startLiveUpdates();
             }
-            // Create CTA button
-            this.createCTAButton();
             this.isInitialized = true;
             this.log('Cividis Theme Engine initialized successfully');
         } catch (error) {
@@ -36,30 +96,127 @@ class CividisTheme {
     }
 
     constructor(config = {}) {
+        const ctaDefaults = {
+            text: 'Cividis Theme',
+            // 'picker' lists every theme from GET /themes; 'toggle' flips Cividis on and off
+            type: 'picker',
+            position: 'header',
+            gradient: 'var(--theme-gradient-cool)',
+            textColor: 'rgba(255,255,255,1)'
+        };
+        // Options are copied first and the normalised values written over them, so a raw value
+        // (live: 'yes', apiEndpoint: undefined) never replaces a default
         this.config = {
+            ...config,
             apiEndpoint: config.apiEndpoint || 'https://colours-matter-nhox10gmh-ana-s-apps-projects.vercel.app/api/theme/cividis',
-            ctaConfig: {
-                text: 'Cividis Theme',
-                position: 'header',
-                gradient: 'var(--theme-gradient-cool)',
-                textColor: 'rgba(255,255,255,1)'
-            },
             retryAttempts: typeof config.retryAttempts === 'number' ? config.retryAttempts : 3,
             retryDelay: typeof config.retryDelay === 'number' ? config.retryDelay : 1000,
+            toggleEndpoint: config.toggleEndpoint || null,
+            streamEndpoint: config.streamEndpoint || null,
+            live: config.live === true,
             debug: config.debug || false,
-            intelligentMapping: config.intelligentMapping !== false,
-            ...config
+            // Rewrites the host page's own inline styles, so it only runs when asked for
+            intelligentMapping: config.intelligentMapping === true,
+            // Run a WCAG contrast audit after every applied theme
+            audit: config.audit !== false,
+            // Element or selector to theme instead of :root
+            target: config.target || null,
+            // Remember the picked theme across page loads (off by default for scoped instances)
+            persist: typeof config.persist === 'boolean' ? config.persist : !config.target,
+            storageKey: config.storageKey || 'cividis-theme-choice',
+            // Ask the API for contrast / dark variants matching the system settings
+            respectPreferences: config.respectPreferences !== false,
+            ctaConfig: { ...ctaDefaults, ...(config.ctaConfig || {}) }
         };
+        // A theme name serves that theme from the same API: { theme: 'alternate' } -> .../api/theme/alternate
+        if (config.theme) {
+            this.config.apiEndpoint = `${this.getApiBase()}/theme/${encodeURIComponent(config.theme)}`;
+        }
 
         this.isInitialized = false;
         this.currentTheme = null;
+        // URL the applied theme was fetched from, and the ETag of each fetched theme URL
+        this.currentThemeUrl = null;
+        this.themeEtags = new Map();
         this.ctaButton = null;
+        this.ctaElement = null;
+        this.themeListbox = null;
+        this.themeList = null;
+        this.selectedTheme = null;
+        this.handleDocumentClick = null;
         this.detectedColors = null;
+        this.toggleState = null;
+        this.clientId = null;
+        this.eventSource = null;
+        this.liveRetryCount = 0;
+        this.liveRetryTimer = null;
+        this.targetElement = null;
+        this.scopeId = null;
+        this.listeners = {};
+        // Inline values of the target's properties before the engine first wrote them
+        this.originalProperties = new Map();
+        this.ownsCTAButton = false;
+        this.isDestroyed = false;
+        // Inline values overwritten by intelligent mapping: { element, property, value, priority }
+        this.mappedProperties = [];
+        this.lastAudit = null;
+        this.auditTimer = null;
+        // Debug outlines on failing elements: { element, value, priority }
+        this.auditOutlines = [];
+        this.simulation = null;
+        this.simulationFilters = null;
+        this.simulationMenu = null;
+        // Inline filter of each element simulate() wrote to: element -> { value, priority }
+        this.originalFilters = new Map();
+        // matchMedia lists watched for prefers-contrast / prefers-color-scheme changes
+        this.preferenceQueries = [];
+        this.handlePreferenceChange = null;
+
+        // Start on the next microtask so hooks registered right after construction see the first fetch
+        this.ready = Promise.resolve().then(() => this.init());
+    }
 
-        this.init();
+    // Lifecycle hooks: fetch-start, fetch-error, before-apply, applied, toggled, selected, mapped, audited, simulated
+    on(event, handler) {
+        if (!CividisTheme.EVENTS.includes(event)) {
+            throw new Error(`Unknown Cividis event "${event}". Expected one of: ${CividisTheme.EVENTS.join(', ')}`);
+        }
+        (this.listeners[event] = this.listeners[event] || []).push(handler);
+        return this;
+    }
+
+    off(event, handler) {
+        if (!this.listeners[event]) {
+            return this;
+        }
+        this.listeners[event] = handler
+            ? this.listeners[event].filter(h => h !== handler)
+            : [];
+        return this;
+    }
+
+    // Handlers receive a mutable event object; a throwing handler is reported, not fatal
+    emit(event, detail = {}) {
+        const payload = {
+            type: event,
+            ...detail,
+            defaultPrevented: false,
+            preventDefault() {
+                this.defaultPrevented = true;
+            }
+        };
+        for (const handler of this.listeners[event] || []) {
+            try {
+                handler.call(this, payload);
+            } catch (error) {
+                this.handleError(`"${event}" handler failed`, error);
+            }
+        }
+        return payload;
     }
 
-    async fetchThemeData() {
+    // Resolves to null on 304: the theme applied from this URL is still current
+    async fetchThemeData(url = this.getThemeUrl()) {
         let attempt = 0;
         let lastError = null;
         const maxAttempts = this.config.retryAttempts;
@@ -68,28 +225,53 @@ class CividisTheme {
         while (attempt < maxAttempts) {
             try {
                 this.log(`Fetching theme data... (attempt ${attempt + 1})`);
+                this.emit('fetch-start', { url, attempt: attempt + 1 });
                 const controller = new AbortController();
                 const timeoutId = setTimeout(() => controller.abort(), 10000);
 
-                const response = await fetch(this.config.apiEndpoint, {
+                const headers = {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                };
+                // Only the URL the applied theme came from is revalidated; any other theme must be downloaded to be applied
+                if (url === this.currentThemeUrl && this.themeEtags.has(url)) {
+                    headers['If-None-Match'] = this.themeEtags.get(url);
+                }
+                const response = await fetch(url, {
                     method: 'GET',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Accept': 'application/json'
-                    },
+                    headers,
                     signal: controller.signal
                 });
                 clearTimeout(timeoutId);
 
+                if (response.status === 304) {
+                    this.log('Theme not modified, keeping the applied theme');
+                    return null;
+                }
                 if (!response.ok) {
-                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                    const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+                    error.status = response.status;
+                    throw error;
                 }
                 const data = await response.json();
                 this.validateThemeData(data);
+                const etag = response.headers.get('ETag');
+                if (etag) {
+                    this.themeEtags.set(url, etag);
+                } else {
+                    this.themeEtags.delete(url);
+                }
                 return data;
             } catch (error) {
                 lastError = error;
                 this.log(`Theme fetch failed (attempt ${attempt + 1}):`, error.message);
+                // A malformed payload or a missing theme will not fix itself on retry
+                const permanent = error.name === 'ThemeValidationError' || error.status === 404;
+                const willRetry = !permanent && attempt < maxAttempts - 1;
+                this.emit('fetch-error', { url, attempt: attempt + 1, error, willRetry });
+                if (permanent) {
+                    break;
+                }
                 if (attempt < maxAttempts - 1) {
                     await new Promise(res => setTimeout(res, delay));
                 }
@@ -101,14 +283,123 @@ class CividisTheme {
         throw lastError;
     }
 
-    applyTheme(cssVariables) {
-        const root = document.documentElement;
+    // Remember the applied payload; url is set only for fetchThemeData() results, which can be revalidated
+    setCurrentTheme(data, url = null) {
+        this.currentTheme = data;
+        this.currentThemeUrl = url;
+    }
+
+    // Apply an API palette ({ primary: '#00204c', ... }) as --theme-* variables plus derived tokens
+    // Reject anything that does not match the shared schema; invalid data is never applied
+    validateThemeData(data) {
+        if (!CividisSchema) {
+            throw new Error('theme-schema.js must be loaded before cividis-theme.js (or use the single-file dist/cividis-theme.umd.js)');
+        }
+        try {
+            return CividisSchema.assertValidThemePayload(data);
+        } catch (error) {
+            if (error.name === 'ThemeValidationError') {
+                this.handleError('Rejected theme payload', error);
+            }
+            throw error;
+        }
+    }
+
+    // Returns false when a before-apply handler cancelled the change
+    applyTheme(colors, stylingRules) {
+        if (!CividisTokens) {
+            throw new Error('theme-tokens.js must be loaded before cividis-theme.js (or use the single-file dist/cividis-theme.umd.js)');
+        }
+        // A fetch still in flight when destroy() ran must not re-theme the page
+        if (this.isDestroyed) {
+            return false;
+        }
+        const before = this.emit('before-apply', { colors: { ...colors }, stylingRules: stylingRules || {} });
+        if (before.defaultPrevented) {
+            this.log('Theme application cancelled by a before-apply handler');
+            return false;
+        }
+        colors = before.colors;
+        stylingRules = before.stylingRules || {};
+
+        const root = this.getTarget();
+        const cssVariables = CividisTokens.paletteToVariables(colors);
         for (const [variable, value] of Object.entries(cssVariables)) {
+            this.rememberProperty(root, variable);
             root.style.setProperty(variable, value);
             this.log(`Applied: ${variable} = ${value}`);
         }
-        window.dispatchEvent(new CustomEvent('cividis-theme-applied', { detail: { variables: cssVariables } }));
+        this.applyStylingRules(stylingRules);
+        this.emit('applied', { colors, variables: cssVariables, stylingRules, target: root });
+        window.dispatchEvent(new CustomEvent('cividis-theme-applied', { detail: { colors, variables: cssVariables, stylingRules, target: root } }));
         this.reapplyCTAGradient();
+        if (this.config.audit) {
+            this.scheduleAudit();
+        }
+        return true;
+    }
+
+    rememberProperty(element, property) {
+        if (element === this.getTarget() && !this.originalProperties.has(property)) {
+            this.originalProperties.set(property, {
+                value: element.style.getPropertyValue(property),
+                priority: element.style.getPropertyPriority(property)
+            });
+        }
+    }
+
+    restoreProperties() {
+        const root = this.targetElement;
+        if (!root) {
+            return;
+        }
+        for (const [property, { value, priority }] of this.originalProperties) {
+            if (value) {
+                root.style.setProperty(property, value, priority);
+            } else {
+                root.style.removeProperty(property);
+            }
+        }
+        this.originalProperties.clear();
+        this.log('Original inline properties restored');
+    }
+
+    // Element receiving the --theme-* variables: :root unless a target was configured
+    getTarget() {
+        if (this.targetElement) {
+            return this.targetElement;
+        }
+        const { target } = this.config;
+        if (!target) {
+            if (this.isDestroyed) {
+                return document.documentElement;
+            }
+            this.targetElement = document.documentElement;
+            return this.targetElement;
+        }
+        const element = typeof target === 'string' ? document.querySelector(target) : target;
+        if (!element || !element.style) {
+            throw new Error(`Theme target not found: ${target}`);
+        }
+        // A destroyed instance still resolves its target but no longer claims it with a scope id
+        if (this.isDestroyed) {
+            return element;
+        }
+        this.targetElement = element;
+        this.scopeId = String(++CividisTheme.scopeCount);
+        element.setAttribute('data-cividis-scope', this.scopeId);
+        this.log(`Theming scoped to ${typeof target === 'string' ? target : element.tagName.toLowerCase()}`);
+        return element;
+    }
+
+    isScoped() {
+        return Boolean(this.config.target);
+    }
+
+    // Per-scope ids keep several instances on one page from sharing elements
+    getScopedId(baseId) {
+        this.getTarget();
+        return this.scopeId ? `${baseId}-${this.scopeId}` : baseId;
     }
 
     reapplyCTAGradient() {
@@ -119,25 +410,48 @@ class CividisTheme {
         }
     }
 
+    // The CTA is a theme picker by default; ctaConfig.type 'toggle' keeps the Cividis on/off button
     createCTAButton() {
+        if (this.isDestroyed) {
+            return;
+        }
         // Prevent duplicates
-        if (document.getElementById('cividis-cta-button')) {
-            this.log('CTA button already exists, skipping creation');
-            this.ctaButton = document.getElementById('cividis-cta-button');
+        const ctaId = this.getScopedId('cividis-cta');
+        const existing = document.getElementById(ctaId);
+        if (existing) {
+            this.log('CTA already exists, skipping creation');
+            this.ctaElement = existing;
+            this.ctaButton = existing.querySelector('button');
             return;
         }
 
+        this.ctaElement = document.createElement('div');
+        this.ctaElement.id = ctaId;
+        this.ctaElement.className = 'cividis-cta';
+        Object.assign(this.ctaElement.style, { position: 'relative', display: 'inline-flex', alignItems: 'center' });
+        this.ownsCTAButton = true;
+
         this.ctaButton = document.createElement('button');
-        this.ctaButton.id = 'cividis-cta-button';
+        this.ctaButton.id = this.getScopedId('cividis-cta-button');
+        this.ctaButton.type = 'button';
         this.ctaButton.textContent = this.config.ctaConfig.text;
         this.applyCTAStyles();
+        this.ctaElement.appendChild(this.ctaButton);
 
-        this.ctaButton.addEventListener('click', (e) => {
-            e.preventDefault();
-            this.handleCTAClick();
-        });
+        if (this.config.ctaConfig.type === 'toggle') {
+            this.ctaButton.setAttribute('aria-pressed', 'false');
+            this.ctaButton.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.handleCTAClick();
+            });
+        } else {
+            this.createThemePicker();
+        }
 
         this.insertCTAButton();
+        if (this.config.ctaConfig.simulationMenu) {
+            this.createSimulationMenu();
+        }
     }
 
     applyCTAStyles() {
@@ -163,36 +477,1387 @@ class CividisTheme {
         this.ctaButton.style.setProperty('color', this.config.ctaConfig.textColor, 'important');
     }
 
+    // ctaConfig.position: 'header' (floats top-right when there is no header), 'none', or a floating corner
     insertCTAButton() {
-        const header = document.querySelector('header, .header, #header, nav, .navbar');
+        const headerSelector = 'header, .header, #header, nav, .navbar';
+        const { position } = this.config.ctaConfig;
+        if (this.isScoped()) {
+            // Scoped CTAs stay inside their container
+            const container = this.getTarget();
+            const header = container.querySelector(headerSelector);
+            (header || container).appendChild(this.ctaElement);
+            this.log(`CTA inserted into scoped ${header ? 'header' : 'container'}`);
+            return;
+        }
+        if (CividisTheme.FLOATING_POSITIONS[position]) {
+            this.createFloatingCTA(position);
+            return;
+        }
+        if (position !== 'header') {
+            this.log(`Unknown CTA position "${position}", using header`);
+        }
+        const header = document.querySelector(headerSelector);
         if (header) {
-            header.appendChild(this.ctaButton);
-            this.log('CTA button inserted into header');
+            header.appendChild(this.ctaElement);
+            this.log('CTA inserted into header');
         } else {
             this.createFloatingCTA('top-right');
         }
     }
 
     createFloatingCTA(position) {
-        const pos = { top: '20px', right: '20px' };
-        Object.assign(this.ctaButton.style, { position: 'fixed', ...pos });
-        document.body.appendChild(this.ctaButton);
-        this.log('Floating CTA button appended');
+        const offsets = CividisTheme.FLOATING_POSITIONS[position];
+        Object.assign(this.ctaElement.style, { position: 'fixed', zIndex: '9999', ...offsets });
+        // Open the list away from the screen edge the CTA is pinned to
+        if (this.themeListbox) {
+            Object.assign(this.themeListbox.style, position.startsWith('bottom')
+                ? { top: 'auto', bottom: '100%' }
+                : { top: '100%', bottom: 'auto' });
+            Object.assign(this.themeListbox.style, position.endsWith('left')
+                ? { left: '0', right: 'auto' }
+                : { left: 'auto', right: '0' });
+        }
+        document.body.appendChild(this.ctaElement);
+        this.log(`Floating CTA appended (${position})`);
+    }
+
+    // Theme picker: trigger button plus an ARIA listbox filled from GET /themes
+    createThemePicker() {
+        const listbox = document.createElement('ul');
+        listbox.id = this.getScopedId('cividis-theme-listbox');
+        listbox.setAttribute('role', 'listbox');
+        listbox.setAttribute('tabindex', '-1');
+        listbox.setAttribute('aria-label', 'Choose a colour theme');
+        listbox.hidden = true;
+        Object.assign(listbox.style, {
+            position: 'absolute',
+            top: '100%',
+            right: '0',
+            zIndex: '10000',
+            minWidth: '220px',
+            maxHeight: '60vh',
+            overflowY: 'auto',
+            margin: '4px 0',
+            padding: '4px',
+            listStyle: 'none',
+            background: 'var(--theme-background)',
+            color: 'var(--theme-text)',
+            border: '1px solid var(--theme-border)',
+            borderRadius: 'var(--theme-border-radius)',
+            boxShadow: '0 4px 16px var(--theme-shadow-lg)',
+            fontSize: '13px'
+        });
+        this.themeListbox = listbox;
+        this.ctaElement.appendChild(listbox);
+
+        const trigger = this.ctaButton;
+        trigger.setAttribute('aria-haspopup', 'listbox');
+        trigger.setAttribute('aria-expanded', 'false');
+        trigger.setAttribute('aria-controls', listbox.id);
+        if (this.selectedTheme && this.currentTheme) {
+            trigger.textContent = this.currentTheme.theme;
+        }
+
+        trigger.addEventListener('click', (e) => {
+            e.preventDefault();
+            window.dispatchEvent(new CustomEvent('cividis-cta-clicked'));
+            if (listbox.hidden) {
+                this.openThemePicker();
+            } else {
+                this.closeThemePicker(true);
+            }
+        });
+        trigger.addEventListener('keydown', (e) => {
+            if (['ArrowDown', 'ArrowUp', 'Enter', ' '].includes(e.key)) {
+                e.preventDefault();
+                this.openThemePicker(e.key === 'ArrowUp' ? 'last' : 'selected');
+            }
+        });
+        listbox.addEventListener('keydown', (e) => this.handlePickerKeydown(e));
+        listbox.addEventListener('click', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option) {
+                this.selectTheme(option.dataset.themeId);
+                this.closeThemePicker(true);
+            }
+        });
+        listbox.addEventListener('mousemove', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option) {
+                this.setActiveOption(option);
+            }
+        });
+
+        this.handleDocumentClick = (e) => {
+            if (!listbox.hidden && !this.ctaElement.contains(e.target)) {
+                this.closeThemePicker(false);
+            }
+        };
+        document.addEventListener('click', this.handleDocumentClick);
+
+        this.loadThemeList();
+    }
+
+    async loadThemeList() {
+        try {
+            const data = await this.requestJSON(`${this.getApiBase()}/themes`);
+            if (!this.themeListbox) {
+                return;
+            }
+            if (!data || data.success !== true || !Array.isArray(data.themes)) {
+                throw new Error('Theme list response is missing "themes"');
+            }
+            this.themeList = data.themes;
+            this.renderThemeOptions();
+            this.log(`Theme picker loaded ${data.themes.length} themes`);
+        } catch (error) {
+            this.themeList = null;
+            this.handleError('Could not load theme list', error);
+        }
+    }
+
+    renderThemeOptions() {
+        const listbox = this.themeListbox;
+        listbox.textContent = '';
+        const current = this.getCurrentThemeId();
+        for (const theme of this.themeList) {
+            const option = document.createElement('li');
+            option.id = `${listbox.id}-${theme.id}`;
+            option.dataset.themeId = theme.id;
+            option.setAttribute('role', 'option');
+            option.setAttribute('aria-selected', String(theme.id === current));
+            Object.assign(option.style, {
+                display: 'flex',
+                alignItems: 'center',
+                gap: '8px',
+                padding: '6px 8px',
+                borderRadius: 'var(--theme-border-radius)',
+                cursor: 'pointer',
+                fontWeight: theme.id === current ? '600' : '400'
+            });
+
+            const swatches = document.createElement('span');
+            swatches.setAttribute('aria-hidden', 'true');
+            Object.assign(swatches.style, { display: 'inline-flex', gap: '2px' });
+            for (const value of Object.values(theme.preview || {})) {
+                if (!CividisSchema || !CividisSchema.isValidColor(value)) {
+                    continue;
+                }
+                const swatch = document.createElement('span');
+                Object.assign(swatch.style, {
+                    width: '14px',
+                    height: '14px',
+                    borderRadius: '3px',
+                    border: '1px solid var(--theme-border)',
+                    background: value
+                });
+                swatches.appendChild(swatch);
+            }
+
+            const label = document.createElement('span');
+            label.textContent = theme.name;
+            option.append(swatches, label);
+            listbox.appendChild(option);
+        }
+    }
+
+    // Id of the theme on screen: the picked one, else the one named by apiEndpoint
+    getCurrentThemeId() {
+        if (this.selectedTheme) {
+            return this.selectedTheme;
+        }
+        const match = /\/theme\/([^/?#]+)/.exec(this.config.apiEndpoint);
+        return match ? decodeURIComponent(match[1]).toLowerCase() : null;
+    }
+
+    getThemeOptions() {
+        return this.themeListbox ? Array.from(this.themeListbox.querySelectorAll('[role="option"]')) : [];
+    }
+
+    async openThemePicker(focus = 'selected') {
+        if (!this.themeList) {
+            await this.loadThemeList();
+        }
+        const options = this.getThemeOptions();
+        if (!options.length) {
+            return;
+        }
+        this.themeListbox.hidden = false;
+        this.ctaButton.setAttribute('aria-expanded', 'true');
+        const selected = options.find(o => o.getAttribute('aria-selected') === 'true');
+        this.setActiveOption(focus === 'last' ? options[options.length - 1] : (selected || options[0]));
+        this.themeListbox.focus();
+    }
+
+    closeThemePicker(restoreFocus) {
+        if (!this.themeListbox || this.themeListbox.hidden) {
+            return;
+        }
+        this.themeListbox.hidden = true;
+        this.themeListbox.removeAttribute('aria-activedescendant');
+        this.ctaButton.setAttribute('aria-expanded', 'false');
+        if (restoreFocus) {
+            this.ctaButton.focus();
+        }
+    }
+
+    setActiveOption(option) {
+        for (const item of this.getThemeOptions()) {
+            const active = item === option;
+            item.style.background = active ? 'var(--theme-surface)' : 'transparent';
+            item.style.outline = active ? '2px solid var(--theme-primary)' : 'none';
+        }
+        this.themeListbox.setAttribute('aria-activedescendant', option.id);
+        option.scrollIntoView({ block: 'nearest' });
+    }
+
+    // Listbox keyboard pattern: arrows, Home/End, Enter/Space to choose, Escape/Tab to close, type-ahead
+    handlePickerKeydown(e) {
+        const options = this.getThemeOptions();
+        const activeId = this.themeListbox.getAttribute('aria-activedescendant');
+        const index = options.findIndex(o => o.id === activeId);
+        let next = null;
+
+        switch (e.key) {
+            case 'ArrowDown':
+                next = options[Math.min(index + 1, options.length - 1)];
+                break;
+            case 'ArrowUp':
+                next = options[Math.max(index - 1, 0)];
+                break;
+            case 'Home':
+                next = options[0];
+                break;
+            case 'End':
+                next = options[options.length - 1];
+                break;
+            case 'Enter':
+            case ' ':
+                e.preventDefault();
+                if (options[index]) {
+                    this.selectTheme(options[index].dataset.themeId);
+                }
+                this.closeThemePicker(true);
+                return;
+            case 'Escape':
+                e.preventDefault();
+                this.closeThemePicker(true);
+                return;
+            case 'Tab':
+                this.closeThemePicker(false);
+                return;
+            default:
+                if (e.key.length === 1 && /\S/.test(e.key)) {
+                    const key = e.key.toLowerCase();
+                    const ordered = [...options.slice(index + 1), ...options.slice(0, index + 1)];
+                    next = ordered.find(o => o.textContent.trim().toLowerCase().startsWith(key)) || null;
+                }
+        }
+        if (next) {
+            e.preventDefault();
+            this.setActiveOption(next);
+        }
+    }
+
+    // Fetch and apply a named theme via GET /theme/:themeName
+    async selectTheme(themeId) {
+        try {
+            this.log(`Selecting theme: ${themeId}`);
+            const url = this.getThemeUrl(themeId);
+            const fetched = await this.fetchThemeData(url);
+            // 304: the picked theme is the one already applied
+            const data = fetched || this.currentTheme;
+            if (this.isDestroyed || !data || (fetched && !this.applyTheme(data.colors, data.styling_rules))) {
+                return false;
+            }
+            this.setCurrentTheme(data, url);
+            this.selectedTheme = themeId;
+            if (this.config.persist) {
+                this.saveThemeChoice(themeId);
+            }
+            for (const option of this.getThemeOptions()) {
+                const selected = option.dataset.themeId === themeId;
+                option.setAttribute('aria-selected', String(selected));
+                option.style.fontWeight = selected ? '600' : '400';
+            }
+            if (this.ctaButton && this.themeListbox) {
+                this.ctaButton.textContent = data.theme;
+            }
+            this.emit('selected', { themeId, theme: data.theme, colors: data.colors });
+            window.dispatchEvent(new CustomEvent('cividis-theme-selected', { detail: { themeId, theme: data.theme, colors: data.colors } }));
+            return true;
+        } catch (error) {
+            // No fallback colours: keep the current theme and report
+            this.handleError(`Could not select theme "${themeId}"`, error);
+            return false;
+        }
+    }
+
+    async requestJSON(url, init = {}) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), 10000);
+        try {
+            const response = await fetch(url, {
+                method: 'GET',
+                ...init,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json',
+                    ...(init.headers || {})
+                },
+                signal: controller.signal
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            return await response.json();
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    // API root derived from the theme endpoint: .../api/theme/cividis -> .../api
+    getApiBase() {
+        return this.config.apiEndpoint.replace(/\/theme(?:\/[^/?#]*)?(?:[?#].*)?$/, '');
+    }
+
+    getToggleEndpoint() {
+        return this.config.toggleEndpoint || `${this.getApiBase()}/theme/toggle`;
+    }
+
+    // The stream carries the system preferences so pushed themes arrive in the right mode and contrast
+    getStreamEndpoint() {
+        const endpoint = this.config.streamEndpoint || `${this.getApiBase()}/theme/stream`;
+        const url = new URL(endpoint, window.location.href);
+        url.searchParams.set('clientId', this.getClientId());
+        for (const [name, value] of Object.entries(this.getPreferenceParams())) {
+            url.searchParams.set(name, value);
+        }
+        return url.toString();
+    }
+
+    // URL for a theme (the picked one by default, else apiEndpoint) carrying the system preference variant
+    getThemeUrl(themeId = this.selectedTheme) {
+        const base = themeId
+            ? `${this.getApiBase()}/theme/${encodeURIComponent(themeId)}`
+            : this.config.apiEndpoint;
+        const params = this.getPreferenceParams();
+        if (!Object.keys(params).length) {
+            return base;
+        }
+        const url = new URL(base, window.location.href);
+        for (const [name, value] of Object.entries(params)) {
+            url.searchParams.set(name, value);
+        }
+        return url.toString();
+    }
+
+    // { contrast: 'more', mode: 'dark' } for whichever system preferences are active
+    getPreferenceParams() {
+        const params = {};
+        if (!this.config.respectPreferences || typeof window.matchMedia !== 'function') {
+            return params;
+        }
+        for (const [name, { query, value }] of Object.entries(CividisTheme.PREFERENCE_QUERIES)) {
+            if (window.matchMedia(query).matches) {
+                params[name] = value;
+            }
+        }
+        return params;
+    }
+
+    watchPreferences() {
+        if (this.isDestroyed || typeof window.matchMedia !== 'function' || this.preferenceQueries.length) {
+            return;
+        }
+        this.handlePreferenceChange = () => {
+            this.log('System colour preferences changed', this.getPreferenceParams());
+            // Reopen the live stream so pushed themes follow the new mode and contrast
+            if (this.eventSource) {
+                this.stopLiveUpdates();
+                this.startLiveUpdates();
+            }
+            this.refreshTheme();
+        };
+        for (const { query } of Object.values(CividisTheme.PREFERENCE_QUERIES)) {
+            const list = window.matchMedia(query);
+            list.addEventListener('change', this.handlePreferenceChange);
+            this.preferenceQueries.push(list);
+        }
+    }
+
+    unwatchPreferences() {
+        for (const list of this.preferenceQueries) {
+            list.removeEventListener('change', this.handlePreferenceChange);
+        }
+        this.preferenceQueries = [];
+        this.handlePreferenceChange = null;
+    }
+
+    // Re-request the current theme, e.g. after a preference change; the API stays the only colour source
+    async refreshTheme() {
+        if (this.toggleState) {
+            this.log(`Refresh skipped, toggle state "${this.toggleState}" takes precedence`);
+            return false;
+        }
+        try {
+            const url = this.getThemeUrl();
+            const data = await this.fetchThemeData(url);
+            // 304: the applied theme is still current, so nothing is re-applied
+            if (!data || this.isDestroyed || !this.applyTheme(data.colors, data.styling_rules)) {
+                return false;
+            }
+            this.setCurrentTheme(data, url);
+            return true;
+        } catch (error) {
+            this.handleError('Could not refresh theme', error);
+            return false;
+        }
+    }
+
+    loadThemeChoice() {
+        try {
+            return window.localStorage.getItem(this.config.storageKey);
+        } catch (error) {
+            this.log('localStorage unavailable, theme choice will not persist');
+            return null;
+        }
+    }
+
+    // Pass null to forget the choice
+    saveThemeChoice(themeId) {
+        try {
+            if (themeId) {
+                window.localStorage.setItem(this.config.storageKey, themeId);
+            } else {
+                window.localStorage.removeItem(this.config.storageKey);
+            }
+        } catch (error) {
+            // The choice still applies for this page view
+        }
+    }
+
+    // Stable per-browser id so the server can remember each visitor's toggle state
+    getClientId() {
+        if (this.clientId) {
+            return this.clientId;
+        }
+        const storageKey = 'cividis-client-id';
+        let clientId = null;
+        try {
+            clientId = window.localStorage.getItem(storageKey);
+        } catch (error) {
+            this.log('localStorage unavailable, client id will not persist');
+        }
+        if (!clientId) {
+            clientId = (window.crypto && window.crypto.randomUUID)
+                ? window.crypto.randomUUID()
+                : `cividis-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+            try {
+                window.localStorage.setItem(storageKey, clientId);
+            } catch (error) {
+                // Keep the in-memory id for this page view
+            }
+        }
+        this.clientId = clientId;
+        return clientId;
+    }
+
+    async postToggle(body) {
+        return this.requestToggle(this.getToggleEndpoint(), {
+            method: 'POST',
+            body: JSON.stringify({ clientId: this.getClientId(), ...body })
+        });
+    }
+
+    // Read this client's saved state without flipping it
+    async getToggleState() {
+        return this.requestToggle(`${this.getToggleEndpoint()}/${encodeURIComponent(this.getClientId())}`);
+    }
+
+    async requestToggle(url, init) {
+        const data = await this.requestJSON(url, init);
+        if (!data || data.success !== true) {
+            throw new Error((data && data.error) || 'Toggle request was not successful');
+        }
+        // A restore for a client that never toggled carries no palette
+        if (data.state !== null) {
+            this.validateThemeData(data);
+        }
+        return data;
+    }
+
+    async handleCTAClick() {
+        if (!this.ctaButton || this.ctaButton.disabled) {
+            return;
+        }
+        window.dispatchEvent(new CustomEvent('cividis-cta-clicked'));
+        this.ctaButton.disabled = true;
+        try {
+            this.log('Toggling theme...');
+            const data = await this.postToggle({});
+            this.applyToggleResponse(data);
+        } catch (error) {
+            // No fallback colours: leave the page as it is and report
+            this.handleError('Theme toggle failed', error);
+        } finally {
+            // destroy() during the request has already removed the button
+            if (this.ctaButton) {
+                this.ctaButton.disabled = false;
+            }
+        }
+    }
+
+    async restoreToggleState() {
+        try {
+            const data = await this.getToggleState();
+            if (this.isDestroyed) {
+                return;
+            }
+            if (!data.state) {
+                this.log('No saved toggle state for this client');
+                return;
+            }
+            this.log(`Restoring toggle state: ${data.state}`);
+            this.applyToggleResponse(data);
+        } catch (error) {
+            this.handleError('Could not restore toggle state', error);
+        }
+    }
+
+    applyToggleResponse(data) {
+        if (!data.colors) {
+            throw new Error('Toggle response did not include colors');
+        }
+        const previousState = this.toggleState;
+        if (this.applyTheme(data.colors, data.styling_rules)) {
+            this.setCurrentTheme(data);
+        }
+        this.toggleState = data.state;
+        if (this.ctaButton && data.button_text) {
+            this.ctaButton.textContent = data.button_text;
+            this.ctaButton.setAttribute('aria-pressed', String(data.state === 'cividis'));
+        }
+        if (previousState !== data.state) {
+            this.emit('toggled', { active: data.state === 'cividis', state: data.state, previousState, colors: data.colors });
+            window.dispatchEvent(new CustomEvent('cividis-theme-toggled', {
+                detail: { active: data.state === 'cividis', state: data.state, colors: data.colors }
+            }));
+        }
+        this.log(`Toggle state: ${data.state}`);
+    }
+
+    // Intelligent mapping: find the colours a legacy page hard-codes and bind them to --theme-* roles
+    detectPageColors() {
+        const root = this.getTarget();
+        const elements = root.querySelectorAll(CividisTheme.MAPPING_SELECTOR);
+        const themed = this.getCurrentVariableColors(root);
+        const samples = [];
+        let skipped = 0;
+
+        elements.forEach((element) => {
+            if (element.closest('[id^="cividis-"]')) {
+                return;
+            }
+            const computed = window.getComputedStyle(element);
+            // Each border side is sampled (and later rewritten) on its own, so mixed borders keep their other sides
+            for (const [property, kind] of Object.entries(CividisTheme.MAPPING_KINDS)) {
+                if (kind === 'border' && !(parseFloat(computed.getPropertyValue(property.replace(/-color$/, '-width'))) > 0)) {
+                    continue;
+                }
+                const color = CividisTokens.parseColor(computed.getPropertyValue(property));
+                if (!color || color.a === 0) {
+                    continue;
+                }
+                // Already driven by a theme variable: nothing to rewrite
+                if (themed.has(CividisTokens.toHex(color))) {
+                    skipped++;
+                    continue;
+                }
+                samples.push({ element, property, kind, color });
+            }
+        });
+
+        const clusters = this.clusterColors(samples);
+        this.log(`Intelligent mapping: ${samples.length} colour samples in ${clusters.length} clusters (${skipped} already themed)`);
+        return { clusters, sampleCount: samples.length, skipped };
+    }
+
+    // Hex values currently held by the target's --theme-* role variables
+    getCurrentVariableColors(root) {
+        const computed = window.getComputedStyle(root);
+        const values = new Set();
+        for (const role of CividisTokens.ROLES) {
+            const color = CividisTokens.parseColor(computed.getPropertyValue(CividisTokens.roleVariable(role)).trim());
+            if (color) {
+                values.add(CividisTokens.toHex(color));
+            }
+        }
+        return values;
+    }
+
+    // Greedy clustering in OKLab, per usage kind; each cluster is represented by its most frequent colour
+    clusterColors(samples) {
+        const clusters = [];
+        for (const sample of samples) {
+            let nearest = null;
+            let nearestDistance = Infinity;
+            for (const cluster of clusters) {
+                if (cluster.kind !== sample.kind) {
+                    continue;
+                }
+                const distance = CividisTokens.colorDistance(sample.color, cluster.seed);
+                if (distance < nearestDistance) {
+                    nearest = cluster;
+                    nearestDistance = distance;
+                }
+            }
+            if (!nearest || nearestDistance > CividisTheme.CLUSTER_DISTANCE) {
+                nearest = { kind: sample.kind, seed: sample.color, samples: [], counts: {} };
+                clusters.push(nearest);
+            }
+            nearest.samples.push(sample);
+            const hex = CividisTokens.toHex(sample.color);
+            nearest.counts[hex] = (nearest.counts[hex] || 0) + 1;
+        }
+        return clusters.map((cluster) => {
+            const [color] = Object.entries(cluster.counts).sort((a, b) => b[1] - a[1])[0];
+            return {
+                color,
+                kind: cluster.kind,
+                members: Object.keys(cluster.counts),
+                properties: [...new Set(cluster.samples.map(s => s.property))],
+                samples: cluster.samples
+            };
+        }).sort((a, b) => b.samples.length - a.samples.length);
+    }
+
+    // Assign each cluster to the nearest palette role and rewrite its elements to var(--theme-role)
+    mapDetectedColors(colors) {
+        const palette = CividisTokens.ROLES
+            .map(role => ({ role, color: CividisTokens.parseColor(colors[role]) }))
+            .filter(entry => entry.color);
+        const mappings = [];
+
+        for (const cluster of this.detectedColors.clusters) {
+            // Keep text on foreground roles and fills off the text role
+            const excluded = CividisTheme.MAPPING_EXCLUDED_ROLES[cluster.kind] || [];
+            const candidates = palette.filter(({ role }) => !excluded.includes(role));
+            const seed = CividisTokens.parseColor(cluster.color);
+            let best = null;
+            for (const candidate of candidates) {
+                const distance = CividisTokens.colorDistance(seed, candidate.color);
+                if (!best || distance < best.distance) {
+                    best = { ...candidate, distance };
+                }
+            }
+            if (!best) {
+                continue;
+            }
+            const variable = CividisTokens.roleVariable(best.role);
+            for (const { element, property } of cluster.samples) {
+                this.mappedProperties.push({
+                    element,
+                    property,
+                    value: element.style.getPropertyValue(property),
+                    priority: element.style.getPropertyPriority(property)
+                });
+                element.style.setProperty(property, `var(${variable})`);
+            }
+            mappings.push({
+                color: cluster.color,
+                kind: cluster.kind,
+                members: cluster.members,
+                role: best.role,
+                variable,
+                distance: Math.round(best.distance * 1000) / 1000,
+                properties: cluster.properties,
+                elements: new Set(cluster.samples.map(s => s.element)).size
+            });
+            this.log(`Mapped ${cluster.color} (${cluster.samples.length} uses) -> ${variable}`);
+        }
+
+        this.detectedColors.mappings = mappings;
+        this.emit('mapped', { mappings });
+        return mappings;
     }
 
-    // Example fallback for :has() (simplified)
-    applyWarningContainerStyling(rule) {
-        const styleElement = document.getElementById('cividis-warning-styles') || document.createElement('style');
-        styleElement.id = 'cividis-warning-styles';
-        styleElement.textContent = `.text-warning, .warning-text-container { background: ${rule.background} !important; color: ${rule.text_color} !important; }`;
+    // Report of the colours intelligent mapping rewrote, without element references
+    getMappingReport() {
+        if (!this.detectedColors || !this.detectedColors.mappings) {
+            return null;
+        }
+        return {
+            sampleCount: this.detectedColors.sampleCount,
+            skipped: this.detectedColors.skipped,
+            mappings: this.detectedColors.mappings.map(m => ({ ...m, members: [...m.members], properties: [...m.properties] }))
+        };
+    }
+
+    restoreMappedProperties() {
+        // Undo in reverse so elements touched twice end on their original value
+        for (const { element, property, value, priority } of this.mappedProperties.reverse()) {
+            if (value) {
+                element.style.setProperty(property, value, priority);
+            } else {
+                element.style.removeProperty(property);
+            }
+        }
+        this.mappedProperties = [];
+    }
+
+    // Audit once styles settle; several applies in a row produce one audit
+    scheduleAudit() {
+        clearTimeout(this.auditTimer);
+        this.auditTimer = setTimeout(() => {
+            this.auditTimer = null;
+            try {
+                this.audit();
+            } catch (error) {
+                this.handleError('Contrast audit failed', error);
+            }
+        }, 0);
+    }
+
+    // WCAG contrast audit of every visible text node under the target
+    audit() {
+        const root = this.getTarget();
+        const scope = root === document.documentElement ? document.body : root;
+        const failures = [];
+        const seen = new Set();
+        let checked = 0;
+        let skipped = 0;
+        // Ancestors are shared by many text nodes: compute each element's style once per audit
+        const styles = new Map();
+        const getStyle = (element) => {
+            if (!styles.has(element)) {
+                styles.set(element, window.getComputedStyle(element));
+            }
+            return styles.get(element);
+        };
+
+        this.clearAuditOutlines();
+        const walker = document.createTreeWalker(scope, NodeFilter.SHOW_TEXT, {
+            acceptNode: node => (node.nodeValue.trim() ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT)
+        });
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            const element = node.parentElement;
+            if (!element || seen.has(element) || !this.isAuditable(element, getStyle)) {
+                continue;
+            }
+            seen.add(element);
+            const computed = getStyle(element);
+            const background = this.getEffectiveBackground(element, getStyle);
+            const foreground = CividisTokens.parseColor(computed.getPropertyValue('color'));
+            if (!background || !foreground) {
+                // Background images and unparseable colours cannot be measured reliably
+                skipped++;
+                continue;
+            }
+            checked++;
+            const text = CividisTokens.composite(foreground, background);
+            const ratio = CividisTokens.contrastRatio(text, background);
+            const largeText = this.isLargeText(computed);
+            const aa = CividisTokens.meetsWcag(ratio, 'AA', largeText);
+            const aaa = CividisTokens.meetsWcag(ratio, 'AAA', largeText);
+            if (!aaa) {
+                failures.push({
+                    selector: this.getElementSelector(element),
+                    element,
+                    text: node.nodeValue.trim().slice(0, 60),
+                    color: CividisTokens.toHex(text),
+                    background: CividisTokens.toHex(background),
+                    ratio: Math.round(ratio * 100) / 100,
+                    largeText,
+                    aa,
+                    aaa,
+                    level: aa ? 'AAA' : 'AA'
+                });
+            }
+        }
+
+        const report = {
+            timestamp: new Date().toISOString(),
+            theme: this.currentTheme ? this.currentTheme.theme || this.currentTheme.state || null : null,
+            checked,
+            skipped,
+            failures,
+            aaFailures: failures.filter(f => !f.aa).length,
+            aaaFailures: failures.length
+        };
+        this.lastAudit = report;
+
+        if (this.config.debug) {
+            failures.forEach(f => this.outlineAuditFailure(f));
+            this.log(`Contrast audit: ${checked} checked, ${report.aaFailures} AA and ${report.aaaFailures} AAA failures`);
+        }
+        this.emit('audited', { report });
+        window.dispatchEvent(new CustomEvent('cividis-theme-audited', { detail: { report, target: root } }));
+        return report;
+    }
+
+    isAuditable(element, getStyle = current => window.getComputedStyle(current)) {
+        if (element.closest('script, style, noscript, template, [hidden], [aria-hidden="true"]')) {
+            return false;
+        }
+        for (let current = element; current; current = current.parentElement) {
+            const computed = getStyle(current);
+            if (computed.display === 'none' || computed.visibility === 'hidden' || computed.opacity === '0') {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    isLargeText(computed) {
+        const size = parseFloat(computed.fontSize) || 16;
+        const weight = parseInt(computed.fontWeight, 10) || (computed.fontWeight === 'bold' ? 700 : 400);
+        return size >= 24 || (size >= 18.66 && weight >= 700);
+    }
+
+    // Composite translucent backgrounds up the ancestor chain onto the canvas (white)
+    getEffectiveBackground(element, getStyle = current => window.getComputedStyle(current)) {
+        const layers = [];
+        for (let current = element; current; current = current.parentElement) {
+            const computed = getStyle(current);
+            const image = computed.getPropertyValue('background-image');
+            if (image && image !== 'none') {
+                return null;
+            }
+            const color = CividisTokens.parseColor(computed.getPropertyValue('background-color'));
+            if (color && color.a > 0) {
+                layers.push(color);
+                if (color.a >= 1) {
+                    break;
+                }
+            }
+        }
+        return layers.reduceRight(
+            (backdrop, layer) => CividisTokens.composite(layer, backdrop),
+            { r: 255, g: 255, b: 255, a: 1 }
+        );
+    }
+
+    // Short, stable selector: nearest id, then tag:nth-of-type steps
+    getElementSelector(element) {
+        const escape = (value) => (window.CSS && CSS.escape ? CSS.escape(value) : value);
+        const steps = [];
+        for (let current = element; current && current.nodeType === 1; current = current.parentElement) {
+            if (current.id) {
+                steps.unshift(`#${escape(current.id)}`);
+                break;
+            }
+            const tag = current.tagName.toLowerCase();
+            if (tag === 'html' || tag === 'body') {
+                steps.unshift(tag);
+                break;
+            }
+            const siblings = current.parentElement
+                ? Array.from(current.parentElement.children).filter(child => child.tagName === current.tagName)
+                : [];
+            steps.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(current) + 1})` : tag);
+        }
+        return steps.join(' > ');
+    }
+
+    outlineAuditFailure(failure) {
+        const { element } = failure;
+        this.auditOutlines.push({
+            element,
+            value: element.style.getPropertyValue('outline'),
+            priority: element.style.getPropertyPriority('outline')
+        });
+        // Solid for AA failures, dashed where only AAA fails; text colours stay visible on the audited background
+        element.style.setProperty('outline', failure.aa ? '2px dashed var(--theme-text-muted)' : '2px solid var(--theme-text)', 'important');
+    }
+
+    clearAuditOutlines() {
+        for (const { element, value, priority } of this.auditOutlines.reverse()) {
+            if (value) {
+                element.style.setProperty('outline', value, priority);
+            } else {
+                element.style.removeProperty('outline');
+            }
+        }
+        this.auditOutlines = [];
+    }
+
+    // Preview the page as seen with a colour vision deficiency; null turns the preview off
+    simulate(type) {
+        if (type !== null && !CividisTheme.SIMULATIONS[type]) {
+            throw new Error(`Unknown simulation "${type}". Expected one of: ${Object.keys(CividisTheme.SIMULATIONS).join(', ')} or null`);
+        }
+        if (type === null) {
+            for (const [element, { value, priority }] of this.originalFilters) {
+                if (value) {
+                    element.style.setProperty('filter', value, priority);
+                } else {
+                    element.style.removeProperty('filter');
+                }
+            }
+            this.originalFilters.clear();
+        } else {
+            this.ensureSimulationFilters();
+            const filter = `url(#${this.getScopedId(`cividis-cvd-${type}`)})`;
+            for (const element of this.getSimulationElements()) {
+                if (!this.originalFilters.has(element)) {
+                    this.originalFilters.set(element, {
+                        value: element.style.getPropertyValue('filter'),
+                        priority: element.style.getPropertyPriority('filter')
+                    });
+                }
+                element.style.setProperty('filter', filter);
+            }
+        }
+        this.simulation = type;
+        if (this.simulationMenu) {
+            this.simulationMenu.value = type || '';
+        }
+        this.log(type ? `Simulating ${type}` : 'Simulation off');
+        this.emit('simulated', { type });
+        return type;
+    }
+
+    // A filter on <html> would make it the containing block of position: fixed elements, pinning the floating CTA
+    // and its picker to the top of the document; page-wide previews filter each child of <body> but the engine's own
+    getSimulationElements() {
+        if (this.isScoped()) {
+            return [this.getTarget()];
+        }
+        return Array.from(document.body.children).filter(element => !element.id.startsWith('cividis-'));
+    }
+
+    // One hidden SVG holding a feColorMatrix filter per deficiency
+    ensureSimulationFilters() {
+        if (this.simulationFilters) {
+            return;
+        }
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const svg = document.createElementNS(svgNS, 'svg');
+        svg.setAttribute('id', this.getScopedId('cividis-cvd-filters'));
+        svg.setAttribute('aria-hidden', 'true');
+        svg.setAttribute('focusable', 'false');
+        Object.assign(svg.style, { position: 'absolute', width: '0', height: '0', overflow: 'hidden' });
+
+        for (const [type, { matrix }] of Object.entries(CividisTheme.SIMULATIONS)) {
+            const filter = document.createElementNS(svgNS, 'filter');
+            filter.setAttribute('id', this.getScopedId(`cividis-cvd-${type}`));
+            // The matrices operate on linear RGB, which is also the SVG filter default
+            filter.setAttribute('color-interpolation-filters', 'linearRGB');
+            const colorMatrix = document.createElementNS(svgNS, 'feColorMatrix');
+            colorMatrix.setAttribute('type', 'matrix');
+            colorMatrix.setAttribute('values', [
+                ...matrix[0], 0, 0,
+                ...matrix[1], 0, 0,
+                ...matrix[2], 0, 0,
+                0, 0, 0, 1, 0
+            ].join(' '));
+            filter.appendChild(colorMatrix);
+            svg.appendChild(filter);
+        }
+        document.body.appendChild(svg);
+        this.simulationFilters = svg;
+    }
+
+    // Secondary control next to the CTA, enabled with ctaConfig.simulationMenu
+    createSimulationMenu() {
+        const menu = document.createElement('select');
+        menu.id = this.getScopedId('cividis-cvd-menu');
+        menu.setAttribute('aria-label', 'Simulate colour vision deficiency');
+        const options = [['', 'Normal vision'], ...Object.entries(CividisTheme.SIMULATIONS).map(([type, { label }]) => [type, label])];
+        for (const [value, label] of options) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            menu.appendChild(option);
+        }
+        Object.assign(menu.style, {
+            font: 'inherit',
+            fontSize: '12px',
+            padding: '5px 8px',
+            margin: '0 8px 0 0',
+            borderRadius: 'var(--theme-border-radius)',
+            border: '1px solid var(--theme-border)',
+            background: 'var(--theme-surface)',
+            color: 'var(--theme-text)'
+        });
+        menu.addEventListener('change', () => this.simulate(menu.value || null));
+        this.ctaElement.appendChild(menu);
+        this.simulationMenu = menu;
+    }
+
+    // Follow server-side theme changes over Server-Sent Events
+    startLiveUpdates() {
+        if (this.eventSource || this.isDestroyed) {
+            return;
+        }
+        if (typeof EventSource === 'undefined') {
+            this.handleError('Live updates unavailable', new Error('EventSource is not supported in this browser'));
+            return;
+        }
+        const source = new EventSource(this.getStreamEndpoint());
+        this.eventSource = source;
+
+        source.addEventListener('open', () => {
+            this.liveRetryCount = 0;
+            this.log('Live theme stream connected');
+        });
+        // Broadcasts announce the rotating theme: only an instance following GET /theme takes them, and it
+        // downloads the theme with refreshTheme() so the URL and ETag are known to later revalidations
+        source.addEventListener('theme', (event) => {
+            this.handleLiveEvent(event, () => {
+                if (this.toggleState) {
+                    this.log(`Live theme ignored, the user's choice "${this.toggleState}" takes precedence`);
+                    return;
+                }
+                // Edits to a pinned theme arrive as theme-updated events instead
+                if (!this.followsRotation()) {
+                    this.log(`Live theme ignored, "${this.selectedTheme || this.config.apiEndpoint}" is pinned`);
+                    return;
+                }
+                this.refreshTheme();
+            });
+        });
+        source.addEventListener('theme-updated', (event) => this.handleThemeUpdated(event));
+        source.addEventListener('toggle', (event) => {
+            this.handleLiveEvent(event, (data) => this.applyToggleResponse(data));
+        });
+        source.addEventListener('error', () => {
+            source.close();
+            this.eventSource = null;
+            this.scheduleLiveReconnect();
+        });
+    }
+
+    // True while the theme comes from the rotating GET /theme, not a named theme, data-theme or a picked one
+    followsRotation() {
+        if (this.selectedTheme) {
+            return false;
+        }
+        const { pathname } = new URL(this.config.apiEndpoint, window.location.href);
+        return /\/theme\/?$/.test(pathname);
+    }
+
+    // A theme was created, edited or deleted on the server: refetch it if it is the one pinned here
+    handleThemeUpdated(event) {
+        let change;
+        try {
+            change = JSON.parse(event.data);
+        } catch (error) {
+            this.handleError('Live theme-updated event rejected', error);
+            return;
+        }
+        if (!change || this.followsRotation() || change.id !== this.getCurrentThemeId()) {
+            return;
+        }
+        this.log(`Pinned theme "${change.id}" was ${change.action} on the server`);
+        // A deleted pick falls back to apiEndpoint, as it does on the next page load
+        if (change.action === 'deleted' && this.selectedTheme === change.id) {
+            this.selectedTheme = null;
+            if (this.config.persist) {
+                this.saveThemeChoice(null);
+            }
+        }
+        this.refreshTheme();
+    }
+
+    handleLiveEvent(event, apply) {
+        try {
+            const data = JSON.parse(event.data);
+            this.validateThemeData(data);
+            this.log(`Live ${event.type} update received`);
+            apply(data);
+        } catch (error) {
+            this.handleError(`Live ${event.type} update rejected`, error);
+        }
+    }
+
+    // Reconnect with the same retryAttempts / retryDelay used for fetching
+    scheduleLiveReconnect() {
+        if (this.liveRetryCount >= this.config.retryAttempts) {
+            this.handleError('Live theme stream lost', new Error(`Gave up after ${this.liveRetryCount} reconnection attempts`));
+            return;
+        }
+        this.liveRetryCount++;
+        this.log(`Live theme stream dropped, reconnecting (attempt ${this.liveRetryCount})...`);
+        this.liveRetryTimer = setTimeout(() => {
+            this.liveRetryTimer = null;
+            this.startLiveUpdates();
+        }, this.config.retryDelay);
+    }
+
+    stopLiveUpdates() {
+        if (this.liveRetryTimer) {
+            clearTimeout(this.liveRetryTimer);
+            this.liveRetryTimer = null;
+        }
+        if (this.eventSource) {
+            this.eventSource.close();
+            this.eventSource = null;
+            this.log('Live theme stream closed');
+        }
+        this.liveRetryCount = 0;
+    }
+
+    // Turn the API's styling_rules into one managed stylesheet, rebuilt on every apply
+    applyStylingRules(stylingRules) {
+        const css = Object.entries(stylingRules)
+            .map(([name, rule]) => this.buildStylingRule(name, rule))
+            .filter(Boolean)
+            .join('\n');
+
+        const styleId = this.getScopedId('cividis-styling-rules');
+        let styleElement = document.getElementById(styleId);
+        if (!styleElement) {
+            styleElement = document.createElement('style');
+            styleElement.id = styleId;
+        }
+        styleElement.textContent = css;
+        // Keep it last in <head> so it wins over page stylesheets of equal specificity
         document.head.appendChild(styleElement);
-        this.log('Warning container styling applied with fallback selectors');
+        this.log(`Styling rules applied: ${Object.keys(stylingRules).length}`);
+    }
+
+    buildStylingRule(name, rule) {
+        if (!rule || typeof rule.selector !== 'string' || !rule.selector.trim()) {
+            this.log(`Skipping styling rule without selector: ${name}`);
+            return '';
+        }
+        if (/[{}<]/.test(rule.selector)) {
+            this.log(`Skipping styling rule with unsafe selector: ${name}`);
+            return '';
+        }
+        const properties = {
+            background: rule.background,
+            color: rule.text_color,
+            'border-color': rule.border_color
+        };
+        const declarations = Object.entries(properties)
+            .filter(([, value]) => typeof value === 'string' && value && !/[{};<]/.test(value))
+            .map(([property, value]) => `    ${property}: ${value} !important;`);
+        if (!declarations.length) {
+            return '';
+        }
+        return `/* ${name} */\n${this.scopeSelector(rule.selector)} {\n${declarations.join('\n')}\n}`;
+    }
+
+    // Prefix every selector in a list with the scope attribute; unscoped instances pass through
+    scopeSelector(selector) {
+        if (!this.isScoped()) {
+            return selector;
+        }
+        this.getTarget();
+        const scope = `[data-cividis-scope="${this.scopeId}"]`;
+        return this.splitSelectorList(selector)
+            .map(part => `${scope} ${part}`)
+            .join(', ');
+    }
+
+    // Split on top-level commas only, leaving commas inside quotes, brackets and parentheses alone
+    splitSelectorList(selector) {
+        const parts = [];
+        let depth = 0;
+        let quote = null;
+        let current = '';
+        for (const char of selector) {
+            if (quote) {
+                if (char === quote) {
+                    quote = null;
+                }
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === '(' || char === '[') {
+                depth++;
+            } else if (char === ')' || char === ']') {
+                depth--;
+            } else if (char === ',' && depth === 0) {
+                parts.push(current.trim());
+                current = '';
+                continue;
+            }
+            current += char;
+        }
+        if (current.trim()) {
+            parts.push(current.trim());
+        }
+        return parts;
+    }
+
+    removeStylingRules() {
+        const styleElement = document.getElementById(this.getScopedId('cividis-styling-rules'));
+        if (styleElement) {
+            styleElement.remove();
+            this.log('Styling rules removed');
+        }
+    }
+
+    // Undo everything the engine put on the page
+    destroy() {
+        this.stopLiveUpdates();
+        this.unwatchPreferences();
+        clearTimeout(this.auditTimer);
+        this.clearAuditOutlines();
+        this.removeStylingRules();
+        if (this.simulation) {
+            this.simulate(null);
+        }
+        if (this.simulationFilters) {
+            this.simulationFilters.remove();
+            this.simulationFilters = null;
+        }
+        if (this.simulationMenu) {
+            this.simulationMenu.remove();
+            this.simulationMenu = null;
+        }
+        if (this.handleDocumentClick) {
+            document.removeEventListener('click', this.handleDocumentClick);
+            this.handleDocumentClick = null;
+        }
+        if (this.ctaElement && this.ownsCTAButton) {
+            this.ctaElement.remove();
+            this.log('CTA removed');
+        }
+        this.ctaButton = null;
+        this.ctaElement = null;
+        this.themeListbox = null;
+        this.themeList = null;
+        this.selectedTheme = null;
+        this.ownsCTAButton = false;
+        this.restoreProperties();
+        this.restoreMappedProperties();
+        this.detectedColors = null;
+        if (this.targetElement && this.scopeId) {
+            this.targetElement.removeAttribute('data-cividis-scope');
+        }
+        this.targetElement = null;
+        this.scopeId = null;
+        this.currentTheme = null;
+        this.currentThemeUrl = null;
+        this.themeEtags.clear();
+        this.toggleState = null;
+        this.listeners = {};
+        this.isInitialized = false;
+        this.isDestroyed = true;
+        this.log('Cividis Theme Engine destroyed');
     }
 }
 
-if (typeof window !== 'undefined' && !window.CividisTheme) {
+// Counter behind data-cividis-scope ids for scoped instances
+CividisTheme.scopeCount = 0;
+
+// Events accepted by on()/off()
+CividisTheme.EVENTS = ['fetch-start', 'fetch-error', 'before-apply', 'applied', 'toggled', 'selected', 'mapped', 'audited', 'simulated'];
+
+// System preferences sent to the API as query parameters when they match
+CividisTheme.PREFERENCE_QUERIES = {
+    contrast: { query: '(prefers-contrast: more)', value: 'more' },
+    mode: { query: '(prefers-color-scheme: dark)', value: 'dark' }
+};
+
+// Corner offsets for floating CTAs
+CividisTheme.FLOATING_POSITIONS = {
+    'top-left': { top: '20px', left: '20px' },
+    'top-right': { top: '20px', right: '20px' },
+    'bottom-left': { bottom: '20px', left: '20px' },
+    'bottom-right': { bottom: '20px', right: '20px' }
+};
+
+// Colour vision deficiency simulations (linear RGB matrices; Machado et al. 2009 at full severity)
+CividisTheme.SIMULATIONS = {
+    protanopia: {
+        label: 'Protanopia',
+        matrix: [
+            [0.152286, 1.052583, -0.204868],
+            [0.114503, 0.786281, 0.099216],
+            [-0.003882, -0.048116, 1.051998]
+        ]
+    },
+    deuteranopia: {
+        label: 'Deuteranopia',
+        matrix: [
+            [0.367322, 0.860646, -0.227968],
+            [0.280085, 0.672501, 0.047413],
+            [-0.011820, 0.042940, 0.968881]
+        ]
+    },
+    tritanopia: {
+        label: 'Tritanopia',
+        matrix: [
+            [1.255528, -0.076749, -0.178779],
+            [-0.078411, 0.930809, 0.147602],
+            [0.004733, 0.691367, 0.303900]
+        ]
+    },
+    achromatopsia: {
+        label: 'Achromatopsia',
+        matrix: [
+            [0.2126, 0.7152, 0.0722],
+            [0.2126, 0.7152, 0.0722],
+            [0.2126, 0.7152, 0.0722]
+        ]
+    }
+};
+
+// Elements sampled by intelligent mapping, and how close (OKLab distance) colours must be to share a cluster
+CividisTheme.MAPPING_SELECTOR = 'button, .btn, [role="button"], a, .alert, [role="alert"], [class*="alert-"], header, .header, nav, h1, h2, h3, h4, h5, h6';
+CividisTheme.CLUSTER_DISTANCE = 0.08;
+CividisTheme.MAPPING_KINDS = {
+    'background-color': 'fill',
+    color: 'text',
+    'border-top-color': 'border',
+    'border-right-color': 'border',
+    'border-bottom-color': 'border',
+    'border-left-color': 'border'
+};
+CividisTheme.MAPPING_EXCLUDED_ROLES = { text: ['surface', 'border'], fill: ['text'], border: [] };
+
+// Options for the automatic instance, from data-* attributes on the engine's own <script> tag:
+//   data-endpoint, data-theme, data-cta-position, data-cta-text, data-debug, data-live, data-target
+CividisTheme.scriptConfig = function (script) {
+    const data = (script && script.dataset) || {};
+    // data-debug and data-debug="true" switch a flag on, anything else leaves it off
+    const flag = value => value === '' || value === 'true';
+    const config = {};
+    if (data.endpoint) {
+        config.apiEndpoint = data.endpoint;
+    }
+    if (data.theme) {
+        config.theme = data.theme;
+    }
+    if (data.ctaPosition || data.ctaText) {
+        config.ctaConfig = {};
+        if (data.ctaPosition) {
+            config.ctaConfig.position = data.ctaPosition;
+        }
+        if (data.ctaText) {
+            config.ctaConfig.text = data.ctaText;
+        }
+    }
+    if (data.debug !== undefined) {
+        config.debug = flag(data.debug);
+    }
+    if (data.live !== undefined) {
+        config.live = flag(data.live);
+    }
+    if (data.target) {
+        config.target = data.target;
+    }
+    return config;
+};
+
+// Start the page-wide instance (window.cividisTheme) unless the tag says data-autoinit="false"
+CividisTheme.autoInit = function (script) {
+    if (script && script.dataset.autoinit === 'false') {
+        return null;
+    }
+    window.cividisTheme = new CividisTheme(CividisTheme.scriptConfig(script));
+    return window.cividisTheme;
+};
+
+// Loaded with a <script> tag; module consumers (require, the ESM and UMD builds) create their own instances
+if (typeof window !== 'undefined' && !cividisIsCommonJS && !window.CividisTheme) {
     window.CividisTheme = CividisTheme;
-    window.cividisTheme = new CividisTheme({ debug: true });
+    CividisTheme.autoInit(document.currentScript);
 }
 
 if (typeof module !== 'undefined' && module.exports) {
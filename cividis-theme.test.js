@@ -0,0 +1,846 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const tokens = require('./theme-tokens');
+const { BUILT_IN_PALETTES, TRADITIONAL_COLORS } = require('./lib/theme-registry');
+
+// The engine runs in jsdom as it does in a browser: the shared helpers first, then cividis-theme.js
+const ENGINE_FILES = ['theme-tokens.js', 'theme-schema.js', 'cividis-theme.js'];
+const ENGINE_SOURCES = ENGINE_FILES.map(file => fs.readFileSync(path.join(__dirname, file), 'utf8'));
+const API = 'https://api.test/api';
+const EMPTY_PAGE = '<!DOCTYPE html><html><head></head><body></body></html>';
+
+function payload(name, colors, extra = {}) {
+    return {
+        success: true,
+        theme: name,
+        colors: { ...colors },
+        styling_rules: {},
+        meta: { timestamp: new Date().toISOString(), version: '1.0.0' },
+        ...extra
+    };
+}
+
+function themePayload(id, extra) {
+    return payload(BUILT_IN_PALETTES[id].name, BUILT_IN_PALETTES[id].colors, extra);
+}
+
+// Stands in for the browser's EventSource; emit() delivers a server event to the engine
+class FakeEventSource {
+    constructor(url) {
+        this.url = url;
+        this.closed = false;
+        this.listeners = {};
+    }
+
+    addEventListener(type, handler) {
+        (this.listeners[type] = this.listeners[type] || []).push(handler);
+    }
+
+    close() {
+        this.closed = true;
+    }
+
+    emit(type, data) {
+        const event = { type, data: typeof data === 'string' ? data : JSON.stringify(data) };
+        for (const handler of this.listeners[type] || []) {
+            handler(event);
+        }
+    }
+}
+
+// A page with the engine loaded. routes answer fetch() by "METHOD /path" below API ("GET /theme/cividis");
+// a key ending in * matches by prefix, and a route is [status, body, headers] or a function returning one.
+// engineTag loads the engine from <script> tags with those attributes, so the automatic instance starts
+function createPage(t, { html = EMPTY_PAGE, routes = {}, engineTag = null, beforeLoad = null } = {}) {
+    const errors = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('error', (...args) => errors.push(args.map(String).join(' ')));
+    virtualConsole.on('jsdomError', error => errors.push(String(error)));
+    const requests = [];
+    const streams = [];
+    const instances = [];
+
+    const scripts = engineTag === null ? '' : ENGINE_SOURCES
+        .map((source, index) => `<script${index === ENGINE_SOURCES.length - 1 ? ` ${engineTag}` : ''}>${source}</script>`)
+        .join('');
+    const dom = new JSDOM(scripts ? html.replace('</body>', () => `${scripts}</body>`) : html, {
+        url: 'https://site.test/',
+        runScripts: engineTag === null ? 'outside-only' : 'dangerously',
+        pretendToBeVisual: true,
+        virtualConsole,
+        beforeParse(window) {
+            window.fetch = async (url, init = {}) => {
+                const method = init.method || 'GET';
+                const target = new URL(url);
+                const request = { method, url: target, headers: init.headers || {}, body: init.body };
+                requests.push(request);
+                const key = `${method} ${target.pathname.slice(new URL(API).pathname.length)}`;
+                const match = Object.keys(routes).find(route => route === key || (route.endsWith('*') && key.startsWith(route.slice(0, -1))));
+                const route = match ? routes[match] : [404, { success: false, error: 'Theme not found' }];
+                const [status, body, headers] = typeof route === 'function' ? route(request) : route;
+                return new Response(status === 304 ? null : JSON.stringify(body), { status, headers });
+            };
+            window.EventSource = class extends FakeEventSource {
+                constructor(url) {
+                    super(url);
+                    streams.push(this);
+                }
+            };
+            // Not implemented by jsdom
+            window.Element.prototype.scrollIntoView = function () {};
+            if (beforeLoad) {
+                beforeLoad(window);
+            }
+        }
+    });
+    const { window } = dom;
+    // Run as classic scripts, so the engine's top-level class is a page global as it is in a browser
+    const context = dom.getInternalVMContext();
+    if (engineTag === null) {
+        // Keeps the engine from starting its automatic instance
+        window.CividisTheme = 'loaded by the test';
+        ENGINE_SOURCES.forEach((source, index) => new vm.Script(source, { filename: ENGINE_FILES[index] }).runInContext(context));
+    }
+    const CividisTheme = vm.runInContext('CividisTheme', context);
+    t.after(() => {
+        instances.forEach(instance => instance.destroy());
+        if (window.cividisTheme) {
+            window.cividisTheme.destroy();
+        }
+        window.close();
+    });
+
+    return {
+        window,
+        document: window.document,
+        CividisTheme,
+        requests,
+        streams,
+        errors,
+        create(config = {}) {
+            const instance = new CividisTheme({
+                apiEndpoint: `${API}/theme/cividis`,
+                retryAttempts: 1,
+                retryDelay: 0,
+                audit: false,
+                ctaConfig: { position: 'none' },
+                ...config
+            });
+            instances.push(instance);
+            return instance;
+        }
+    };
+}
+
+// Let fetches, timers and the handlers they trigger run
+function settle() {
+    return new Promise(resolve => setTimeout(resolve, 20));
+}
+
+function rootVariable(page, name) {
+    return page.document.documentElement.style.getPropertyValue(name);
+}
+
+function press(page, element, key) {
+    element.dispatchEvent(new page.window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+}
+
+const toggleRoutes = {
+    'GET /theme/cividis': [200, themePayload('cividis')],
+    'GET /theme/toggle/*': [200, { success: true, state: null }],
+    'POST /theme/toggle': [200, payload('Traditional', TRADITIONAL_COLORS, { state: 'traditional', button_text: 'Switch to Cividis' })]
+};
+
+test('the toggle CTA posts this client\'s id and applies the mode the server returns', async (t) => {
+    const page = createPage(t, { html: '<!DOCTYPE html><html><head></head><body><header></header></body></html>', routes: toggleRoutes });
+    const instance = page.create({ ctaConfig: { type: 'toggle', position: 'header' } });
+    await instance.ready;
+    const button = page.document.querySelector('header #cividis-cta-button');
+    assert.equal(button.getAttribute('aria-pressed'), 'false');
+
+    button.click();
+    await settle();
+    const post = page.requests.find(request => request.method === 'POST');
+    assert.equal(post.url.href, `${API}/theme/toggle`);
+    assert.equal(JSON.parse(post.body).clientId, page.window.localStorage.getItem('cividis-client-id'));
+    assert.equal(rootVariable(page, '--theme-primary'), TRADITIONAL_COLORS.primary);
+    assert.equal(button.textContent, 'Switch to Cividis');
+    assert.equal(instance.toggleState, 'traditional');
+    assert.deepEqual(page.errors, []);
+});
+
+test('a toggle CTA restores the mode this client picked last time', async (t) => {
+    const page = createPage(t, {
+        html: '<!DOCTYPE html><html><head></head><body><header></header></body></html>',
+        routes: {
+            ...toggleRoutes,
+            'GET /theme/toggle/*': [200, payload('Traditional', TRADITIONAL_COLORS, { state: 'traditional', button_text: 'Switch to Cividis' })]
+        }
+    });
+    const instance = page.create({ ctaConfig: { type: 'toggle', position: 'header' } });
+    await instance.ready;
+    const restore = page.requests.find(request => request.url.pathname.startsWith('/api/theme/toggle/'));
+    assert.equal(restore.url.pathname, `/api/theme/toggle/${encodeURIComponent(instance.getClientId())}`);
+    assert.equal(instance.toggleState, 'traditional');
+    assert.equal(rootVariable(page, '--theme-primary'), TRADITIONAL_COLORS.primary);
+});
+
+test('every styling_rules entry becomes one managed stylesheet', async (t) => {
+    const rules = {
+        buttons: { selector: 'button, .btn', background: '#00204c', text_color: '#ffffff' },
+        links: { selector: 'a', background: '#ffffff', text_color: '#00204c', border_color: '#e0e0e0' }
+    };
+    const page = createPage(t, { routes: { 'GET /theme/cividis': [200, themePayload('cividis', { styling_rules: rules })] } });
+    const instance = page.create();
+    await instance.ready;
+    const style = page.document.getElementById('cividis-styling-rules');
+    assert.equal(style.parentNode, page.document.head);
+    assert.match(style.textContent, /button, \.btn \{\n {4}background: #00204c !important;\n {4}color: #ffffff !important;\n\}/);
+    assert.match(style.textContent, /a \{[^}]*border-color: #e0e0e0 !important;/);
+
+    instance.applyTheme(BUILT_IN_PALETTES.cividis.colors, {
+        unsafe: { selector: 'a { } body', background: '#000000', text_color: '#ffffff' },
+        injected: { selector: 'p', background: 'red; } body { color: blue', text_color: '#ffffff' }
+    });
+    assert.equal(page.document.querySelectorAll('#cividis-styling-rules').length, 1);
+    assert.doesNotMatch(style.textContent, /body|red/);
+    assert.match(style.textContent, /^\/\* injected \*\/\np \{\n {4}color: #ffffff !important;\n\}$/);
+});
+
+test('applied palettes set every --theme-* variable, derived tokens included', async (t) => {
+    const page = createPage(t, { routes: { 'GET /theme/cividis': [200, themePayload('cividis')] } });
+    const instance = page.create();
+    await instance.ready;
+    const expected = tokens.paletteToVariables(BUILT_IN_PALETTES.cividis.colors);
+    for (const name of ['--theme-primary', '--theme-text-muted', '--theme-shadow-lg', '--theme-gradient-cool', '--theme-primary-rgb', '--theme-on-primary']) {
+        assert.ok(expected[name], name);
+    }
+    for (const [name, value] of Object.entries(expected)) {
+        assert.equal(rootVariable(page, name), value, name);
+    }
+});
+
+test('an invalid payload is rejected without a retry and nothing is applied', async (t) => {
+    const invalid = themePayload('cividis');
+    invalid.colors.primary = 'rgb(1.2.3, 0, 0)';
+    delete invalid.meta;
+    const page = createPage(t, { routes: { 'GET /theme/cividis': [200, invalid] } });
+    const instance = page.create({ retryAttempts: 3 });
+    const fetchErrors = [];
+    instance.on('fetch-error', event => fetchErrors.push(event));
+    await instance.ready;
+    assert.equal(page.requests.length, 1);
+    assert.equal(fetchErrors.length, 1);
+    assert.equal(fetchErrors[0].willRetry, false);
+    assert.deepEqual(Array.from(fetchErrors[0].error.errors, error => error.path), ['colors.primary', 'meta']);
+    assert.equal(rootVariable(page, '--theme-primary'), '');
+    assert.ok(page.errors.some(error => error.includes('Rejected theme payload')));
+});
+
+test('options are normalised over the raw config', (t) => {
+    const page = createPage(t);
+    const instance = page.create({ apiEndpoint: undefined, live: 'yes', retryAttempts: '5', ctaConfig: { text: 'Themes' } });
+    instance.destroy();
+    assert.match(instance.config.apiEndpoint, /\/api\/theme\/cividis$/);
+    assert.equal(instance.config.live, false);
+    assert.equal(instance.config.retryAttempts, 3);
+    assert.equal(instance.config.ctaConfig.text, 'Themes');
+    assert.equal(instance.config.ctaConfig.type, 'picker');
+});
+
+test('a rotation follower takes pushed themes; a pinned instance ignores them', async (t) => {
+    let current = 'cividis';
+    const page = createPage(t, {
+        routes: {
+            'GET /theme': () => [200, themePayload(current)],
+            'GET /theme/cividis': [200, themePayload('cividis')]
+        }
+    });
+    const following = page.create({ apiEndpoint: `${API}/theme`, live: true });
+    const pinned = page.create({ live: true });
+    await Promise.all([following.ready, pinned.ready]);
+    assert.equal(page.streams.length, 2);
+    assert.equal(new URL(page.streams[0].url).pathname, '/api/theme/stream');
+    assert.equal(new URL(page.streams[0].url).searchParams.get('clientId'), following.getClientId());
+
+    const applied = [];
+    pinned.on('applied', () => applied.push('pinned'));
+    current = 'alternate';
+    page.streams.forEach(stream => stream.emit('theme', themePayload('alternate')));
+    await settle();
+    assert.equal(rootVariable(page, '--theme-primary'), BUILT_IN_PALETTES.alternate.colors.primary);
+    assert.equal(following.currentTheme.theme, BUILT_IN_PALETTES.alternate.name);
+    assert.equal(pinned.currentTheme.theme, BUILT_IN_PALETTES.cividis.name);
+    assert.deepEqual(applied, []);
+
+    page.streams[1].emit('theme', 'not json');
+    assert.ok(page.errors.some(error => error.includes('Live theme update rejected')));
+});
+
+test('a pinned instance refetches its theme when the server announces an edit to it', async (t) => {
+    const edited = themePayload('cividis');
+    let served = themePayload('cividis');
+    const page = createPage(t, { routes: { 'GET /theme/cividis': () => [200, served] } });
+    const instance = page.create({ live: true });
+    await instance.ready;
+    const [stream] = page.streams;
+
+    stream.emit('theme-updated', { success: true, id: 'alternate', action: 'updated' });
+    await settle();
+    assert.equal(page.requests.length, 1);
+
+    edited.colors.primary = '#112233';
+    served = edited;
+    stream.emit('theme-updated', { success: true, id: 'cividis', action: 'updated' });
+    await settle();
+    assert.equal(page.requests.length, 2);
+    assert.equal(rootVariable(page, '--theme-primary'), '#112233');
+});
+
+test('the live stream reconnects with retryDelay and gives up after retryAttempts', async (t) => {
+    const page = createPage(t, { routes: { 'GET /theme': [200, themePayload('cividis')] } });
+    const instance = page.create({ apiEndpoint: `${API}/theme`, live: true, retryAttempts: 2 });
+    await instance.ready;
+
+    page.streams[0].emit('error');
+    assert.equal(page.streams[0].closed, true);
+    await settle();
+    // A connection that opens again starts the count over
+    page.streams[1].emit('open');
+    page.streams[1].emit('error');
+    await settle();
+    page.streams[2].emit('error');
+    await settle();
+    page.streams[3].emit('error');
+    await settle();
+    assert.equal(page.streams.length, 4);
+    assert.equal(instance.eventSource, null);
+    assert.ok(page.errors.some(error => error.includes('Live theme stream lost')));
+});
+
+test('a scoped instance themes its container only', async (t) => {
+    const rules = { buttons: { selector: 'button, .btn', background: '#00204c', text_color: '#ffffff' } };
+    const page = createPage(t, {
+        html: '<!DOCTYPE html><html><head></head><body><div id="one"><header></header></div><div id="two"></div></body></html>',
+        routes: {
+            'GET /theme/cividis': [200, themePayload('cividis', { styling_rules: rules })],
+            'GET /theme/alternate': [200, themePayload('alternate')],
+            'GET /themes': [200, { success: true, themes: [] }]
+        }
+    });
+    const one = page.create({ target: '#one', ctaConfig: { position: 'header' } });
+    const two = page.create({ target: page.document.getElementById('two'), theme: 'alternate' });
+    await Promise.all([one.ready, two.ready]);
+
+    const first = page.document.getElementById('one');
+    const second = page.document.getElementById('two');
+    assert.equal(rootVariable(page, '--theme-primary'), '');
+    assert.equal(first.style.getPropertyValue('--theme-primary'), BUILT_IN_PALETTES.cividis.colors.primary);
+    assert.equal(second.style.getPropertyValue('--theme-primary'), BUILT_IN_PALETTES.alternate.colors.primary);
+    const scope = first.getAttribute('data-cividis-scope');
+    assert.notEqual(scope, second.getAttribute('data-cividis-scope'));
+    assert.ok(first.querySelector(`header #cividis-cta-${scope}`));
+    assert.match(page.document.getElementById(`cividis-styling-rules-${scope}`).textContent,
+        new RegExp(`\\[data-cividis-scope="${scope}"\\] button, \\[data-cividis-scope="${scope}"\\] \\.btn \\{`));
+    assert.equal(one.config.persist, false);
+});
+
+test('hooks run in order, and before-apply can change or cancel a theme', async (t) => {
+    const page = createPage(t, { routes: { 'GET /theme/cividis': [200, themePayload('cividis')] } });
+    const events = [];
+    const instance = page.create();
+    for (const event of ['fetch-start', 'before-apply', 'applied']) {
+        instance.on(event, () => events.push(event));
+    }
+    instance.on('before-apply', (event) => {
+        event.colors.primary = '#123456';
+    });
+    await instance.ready;
+    assert.deepEqual(events, ['fetch-start', 'before-apply', 'applied']);
+    assert.equal(rootVariable(page, '--theme-primary'), '#123456');
+
+    instance.on('before-apply', event => event.preventDefault());
+    assert.equal(instance.applyTheme(BUILT_IN_PALETTES.alternate.colors), false);
+    assert.equal(rootVariable(page, '--theme-primary'), '#123456');
+    assert.throws(() => instance.on('loaded', () => {}), /Unknown Cividis event "loaded"/);
+
+    instance.on('applied', () => {
+        throw new Error('handler bug');
+    });
+    instance.off('before-apply');
+    assert.equal(instance.applyTheme(BUILT_IN_PALETTES.alternate.colors), true);
+    assert.ok(page.errors.some(error => error.includes('"applied" handler failed')));
+});
+
+test('destroy() puts the page back as it was', async (t) => {
+    const page = createPage(t, {
+        html: '<!DOCTYPE html><html style="--theme-primary: #123456"><head></head><body><header></header></body></html>',
+        routes: {
+            'GET /theme/cividis': [200, themePayload('cividis', { styling_rules: { all: { selector: 'p', background: '#ffffff', text_color: '#00204c' } } })],
+            'GET /themes': [200, { success: true, themes: [] }]
+        }
+    });
+    const instance = page.create({ ctaConfig: { position: 'header' }, live: true });
+    await instance.ready;
+    assert.ok(page.document.getElementById('cividis-cta'));
+
+    instance.destroy();
+    assert.equal(rootVariable(page, '--theme-primary'), '#123456');
+    assert.equal(rootVariable(page, '--theme-secondary'), '');
+    assert.equal(page.document.getElementById('cividis-cta'), null);
+    assert.equal(page.document.getElementById('cividis-styling-rules'), null);
+    assert.equal(page.streams[0].closed, true);
+    assert.equal(instance.applyTheme(BUILT_IN_PALETTES.alternate.colors), false);
+    assert.equal(rootVariable(page, '--theme-primary'), '#123456');
+});
+
+test('destroy() right after construction stops the instance before its first request', async (t) => {
+    const page = createPage(t, { routes: { 'GET /theme/cividis': [200, themePayload('cividis')] } });
+    const instance = page.create({ live: true });
+    instance.destroy();
+    await instance.ready;
+    assert.equal(page.requests.length, 0);
+    assert.equal(page.streams.length, 0);
+    assert.equal(instance.isInitialized, false);
+});
+
+test('intelligent mapping binds a page\'s own colours to the nearest roles and destroy() undoes it', async (t) => {
+    const page = createPage(t, {
+        html: `<!DOCTYPE html><html><head></head><body>
+            <header style="background-color: #0a2a5c; border-top: 2px solid #0a2a5c"><h1 style="color: #0a2a5c">Shop</h1></header>
+            <button style="background-color: #0b2b5e; color: #1b1b1b">Buy</button>
+        </body></html>`,
+        routes: { 'GET /theme/cividis': [200, themePayload('cividis')] }
+    });
+    const instance = page.create({ intelligentMapping: true });
+    await instance.ready;
+    const header = page.document.querySelector('header');
+    const button = page.document.querySelector('button');
+    assert.equal(header.style.backgroundColor, 'var(--theme-primary)');
+    assert.equal(button.style.backgroundColor, 'var(--theme-primary)');
+    assert.equal(header.style.borderTopColor, 'var(--theme-primary)');
+    // Sides without a border keep their colour
+    assert.equal(header.style.borderBottomColor, '');
+    // Text never lands on surface or border
+    assert.equal(page.document.querySelector('h1').style.color, 'var(--theme-primary)');
+    const report = instance.getMappingReport();
+    assert.ok(report.mappings.some(mapping => mapping.kind === 'fill' && mapping.role === 'primary' && mapping.elements === 2));
+
+    instance.destroy();
+    assert.equal(header.style.backgroundColor, 'rgb(10, 42, 92)');
+    assert.equal(header.style.borderTopColor, 'rgb(10, 42, 92)');
+    assert.equal(button.style.backgroundColor, 'rgb(11, 43, 94)');
+});
+
+test('intelligent mapping stays off unless it is set to true', async (t) => {
+    const page = createPage(t, {
+        html: '<!DOCTYPE html><html><head></head><body><button style="background-color: #0a2a5c">Buy</button></body></html>',
+        routes: { 'GET /theme/cividis': [200, themePayload('cividis')] }
+    });
+    const instance = page.create({ intelligentMapping: 'yes' });
+    await instance.ready;
+    assert.equal(instance.config.intelligentMapping, false);
+    assert.equal(page.document.querySelector('button').style.backgroundColor, 'rgb(10, 42, 92)');
+    assert.equal(instance.getMappingReport(), null);
+});
+
+test('the audit reports AA and AAA failures and outlines them in theme colours', async (t) => {
+    const page = createPage(t, {
+        html: `<!DOCTYPE html><html><head></head><body>
+            <p id="faint" style="color: #999999">Faint</p>
+            <p id="grey" style="color: #666666">Grey</p>
+            <p id="black" style="color: #000000">Black</p>
+            <h1 id="large" style="color: #777777; font-size: 32px">Large</h1>
+            <div style="background-color: rgba(0, 0, 0, 0.7)"><span id="half" style="color: #000000">On grey</span></div>
+            <p hidden>Hidden</p>
+        </body></html>`,
+        routes: { 'GET /theme/cividis': [200, themePayload('cividis')] }
+    });
+    const instance = page.create({ audit: true, debug: true });
+    const reports = [];
+    instance.on('audited', event => reports.push(event.report));
+    await instance.ready;
+    await settle();
+
+    assert.equal(reports.length, 1);
+    const report = instance.lastAudit;
+    assert.equal(report.checked, 5);
+    const levels = Object.fromEntries(report.failures.map(failure => [failure.selector, failure.level]));
+    assert.deepEqual(levels, { '#faint': 'AA', '#grey': 'AAA', '#large': 'AAA', '#half': 'AA' });
+    assert.equal(report.aaFailures, 2);
+    assert.equal(page.document.getElementById('faint').style.getPropertyValue('outline'), '2px solid var(--theme-text)');
+    assert.equal(page.document.getElementById('faint').style.getPropertyPriority('outline'), 'important');
+    assert.equal(page.document.getElementById('grey').style.getPropertyValue('outline'), '2px dashed var(--theme-text-muted)');
+    assert.equal(page.document.getElementById('black').style.getPropertyValue('outline'), '');
+
+    instance.destroy();
+    assert.equal(page.document.getElementById('faint').style.getPropertyValue('outline'), '');
+});
+
+test('the audit computes each element\'s style once', async (t) => {
+    const items = Array.from({ length: 30 }, (_, index) => `<li><a href="#${index}"><span>Item ${index}</span></a></li>`).join('');
+    const page = createPage(t, {
+        html: `<!DOCTYPE html><html><head><style>span { color: #1b1b1b; }</style></head><body><main><section><ul>${items}</ul></section></main></body></html>`,
+        routes: { 'GET /theme/cividis': [200, themePayload('cividis')] }
+    });
+    const instance = page.create();
+    await instance.ready;
+    const getComputedStyle = page.window.getComputedStyle;
+    let calls = 0;
+    page.window.getComputedStyle = (...args) => {
+        calls++;
+        return getComputedStyle.apply(page.window, args);
+    };
+    const report = instance.audit();
+    assert.equal(report.checked, 30);
+    assert.ok(calls <= page.document.querySelectorAll('*').length, `${calls} getComputedStyle calls`);
+});
+
+test('a page-wide simulation filters the page but not the engine\'s fixed CTA', async (t) => {
+    const page = createPage(t, {
+        html: '<!DOCTYPE html><html><head></head><body><main style="filter: blur(1px)">Page</main><footer>Footer</footer></body></html>',
+        routes: toggleRoutes
+    });
+    const instance = page.create({ ctaConfig: { type: 'toggle', position: 'bottom-right' } });
+    await instance.ready;
+    const main = page.document.querySelector('main');
+    const footer = page.document.querySelector('footer');
+    const cta = page.document.getElementById('cividis-cta');
+    assert.equal(cta.style.position, 'fixed');
+
+    const simulated = [];
+    instance.on('simulated', event => simulated.push(event.type));
+    instance.simulate('deuteranopia');
+    assert.equal(page.document.documentElement.style.filter, '');
+    assert.equal(page.document.body.style.filter, '');
+    assert.equal(main.style.filter, 'url(#cividis-cvd-deuteranopia)');
+    assert.equal(footer.style.filter, 'url(#cividis-cvd-deuteranopia)');
+    assert.equal(cta.style.filter, '');
+    const filters = page.document.getElementById('cividis-cvd-filters');
+    assert.equal(filters.style.filter, '');
+    assert.deepEqual(Array.from(filters.querySelectorAll('filter'), filter => filter.id),
+        ['cividis-cvd-protanopia', 'cividis-cvd-deuteranopia', 'cividis-cvd-tritanopia', 'cividis-cvd-achromatopsia']);
+
+    instance.simulate('achromatopsia');
+    assert.equal(main.style.filter, 'url(#cividis-cvd-achromatopsia)');
+    instance.simulate(null);
+    assert.equal(main.style.filter, 'blur(1px)');
+    assert.equal(footer.style.filter, '');
+    assert.deepEqual(simulated, ['deuteranopia', 'achromatopsia', null]);
+    assert.throws(() => instance.simulate('sepia'), /Unknown simulation "sepia"/);
+
+    instance.simulate('protanopia');
+    instance.destroy();
+    assert.equal(main.style.filter, 'blur(1px)');
+    assert.equal(page.document.getElementById('cividis-cvd-filters'), null);
+});
+
+test('a scoped simulation filters its container', async (t) => {
+    const page = createPage(t, {
+        html: '<!DOCTYPE html><html><head></head><body><div id="panel">Panel</div><p>Outside</p></body></html>',
+        routes: { 'GET /theme/cividis': [200, themePayload('cividis')] }
+    });
+    const instance = page.create({ target: '#panel' });
+    await instance.ready;
+    const panel = page.document.getElementById('panel');
+    const scope = panel.getAttribute('data-cividis-scope');
+    instance.simulate('tritanopia');
+    assert.equal(panel.style.filter, `url(#cividis-cvd-tritanopia-${scope})`);
+    assert.equal(page.document.querySelector('p').style.filter, '');
+    instance.simulate(null);
+    assert.equal(panel.style.filter, '');
+});
+
+const pickerThemes = [
+    { id: 'cividis', name: 'Cividis', preview: { primary: '#00204c', accent: 'url(x)' } },
+    { id: 'alternate', name: 'Alternate Cividis', preview: { primary: '#7A6B13' } },
+    { id: 'ocean', name: 'Ocean', preview: {} }
+];
+
+function createPickerPage(t, routes = {}) {
+    const page = createPage(t, {
+        html: '<!DOCTYPE html><html><head></head><body><header></header><main>Page</main></body></html>',
+        routes: {
+            'GET /theme/cividis': [200, themePayload('cividis')],
+            'GET /theme/alternate': [200, themePayload('alternate')],
+            'GET /themes': [200, { success: true, themes: pickerThemes }],
+            ...routes
+        }
+    });
+    return page;
+}
+
+test('the theme picker lists GET /themes and follows the listbox keyboard pattern', async (t) => {
+    const page = createPickerPage(t);
+    const instance = page.create({ ctaConfig: { position: 'header' } });
+    await instance.ready;
+    await settle();
+    const trigger = page.document.getElementById('cividis-cta-button');
+    const listbox = page.document.getElementById('cividis-theme-listbox');
+    const active = () => listbox.getAttribute('aria-activedescendant');
+    assert.equal(trigger.getAttribute('aria-haspopup'), 'listbox');
+    assert.equal(trigger.getAttribute('aria-controls'), listbox.id);
+    assert.deepEqual(Array.from(listbox.querySelectorAll('[role="option"]'), option => option.textContent), pickerThemes.map(theme => theme.name));
+    // Swatches only show valid colours
+    assert.equal(listbox.querySelector('[role="option"]').querySelectorAll('span[aria-hidden] span').length, 1);
+
+    press(page, trigger, 'ArrowDown');
+    await settle();
+    assert.equal(listbox.hidden, false);
+    assert.equal(trigger.getAttribute('aria-expanded'), 'true');
+    assert.equal(active(), 'cividis-theme-listbox-cividis');
+    assert.equal(page.document.activeElement, listbox);
+    press(page, listbox, 'ArrowDown');
+    assert.equal(active(), 'cividis-theme-listbox-alternate');
+    press(page, listbox, 'End');
+    assert.equal(active(), 'cividis-theme-listbox-ocean');
+    press(page, listbox, 'ArrowDown');
+    assert.equal(active(), 'cividis-theme-listbox-ocean');
+    press(page, listbox, 'Home');
+    assert.equal(active(), 'cividis-theme-listbox-cividis');
+    press(page, listbox, 'o');
+    assert.equal(active(), 'cividis-theme-listbox-ocean');
+    press(page, listbox, 'Escape');
+    assert.equal(listbox.hidden, true);
+    assert.equal(active(), null);
+    assert.equal(page.document.activeElement, trigger);
+
+    press(page, trigger, 'ArrowUp');
+    await settle();
+    assert.equal(active(), 'cividis-theme-listbox-ocean');
+    press(page, listbox, 'ArrowUp');
+    press(page, listbox, 'Enter');
+    await settle();
+    assert.equal(listbox.hidden, true);
+    assert.equal(rootVariable(page, '--theme-primary'), BUILT_IN_PALETTES.alternate.colors.primary);
+    assert.equal(trigger.textContent, BUILT_IN_PALETTES.alternate.name);
+    assert.equal(page.document.getElementById('cividis-theme-listbox-alternate').getAttribute('aria-selected'), 'true');
+    assert.equal(page.document.getElementById('cividis-theme-listbox-cividis').getAttribute('aria-selected'), 'false');
+    assert.deepEqual(page.errors, []);
+});
+
+test('the theme picker opens on click and closes on an outside click', async (t) => {
+    const page = createPickerPage(t);
+    const instance = page.create({ ctaConfig: { position: 'header' } });
+    await instance.ready;
+    await settle();
+    const trigger = page.document.getElementById('cividis-cta-button');
+    const listbox = page.document.getElementById('cividis-theme-listbox');
+    trigger.click();
+    await settle();
+    assert.equal(listbox.hidden, false);
+    page.document.querySelector('main').click();
+    assert.equal(listbox.hidden, true);
+    assert.notEqual(page.document.activeElement, trigger);
+
+    trigger.click();
+    await settle();
+    page.document.getElementById('cividis-theme-listbox-alternate').click();
+    await settle();
+    assert.equal(listbox.hidden, true);
+    assert.equal(instance.selectedTheme, 'alternate');
+});
+
+test('a picked theme is saved, loaded first next time and forgotten once the server drops it', async (t) => {
+    const page = createPickerPage(t);
+    const instance = page.create();
+    await instance.ready;
+    assert.equal(await instance.selectTheme('alternate'), true);
+    assert.equal(page.window.localStorage.getItem('cividis-theme-choice'), 'alternate');
+    assert.equal(await instance.selectTheme('missing'), false);
+    assert.equal(page.window.localStorage.getItem('cividis-theme-choice'), 'alternate');
+
+    const returning = createPickerPage(t);
+    returning.window.localStorage.setItem('cividis-theme-choice', 'alternate');
+    const restored = returning.create();
+    await restored.ready;
+    assert.equal(returning.requests[0].url.pathname, '/api/theme/alternate');
+    assert.equal(restored.selectedTheme, 'alternate');
+
+    const dropped = createPickerPage(t);
+    dropped.window.localStorage.setItem('cividis-theme-choice', 'deleted-theme');
+    const fallback = dropped.create();
+    await fallback.ready;
+    assert.deepEqual(dropped.requests.map(request => request.url.pathname), ['/api/theme/deleted-theme', '/api/theme/cividis']);
+    assert.equal(fallback.selectedTheme, null);
+    assert.equal(dropped.window.localStorage.getItem('cividis-theme-choice'), null);
+    assert.equal(rootVariable(dropped, '--theme-primary'), BUILT_IN_PALETTES.cividis.colors.primary);
+});
+
+test('scoped instances do not persist their pick unless asked to', async (t) => {
+    const page = createPage(t, {
+        html: '<!DOCTYPE html><html><head></head><body><div id="panel"></div></body></html>',
+        routes: { 'GET /theme/cividis': [200, themePayload('cividis')], 'GET /theme/alternate': [200, themePayload('alternate')] }
+    });
+    const instance = page.create({ target: '#panel' });
+    await instance.ready;
+    await instance.selectTheme('alternate');
+    assert.equal(page.window.localStorage.getItem('cividis-theme-choice'), null);
+
+    const persisted = page.create({ target: '#panel', persist: true, storageKey: 'panel-theme' });
+    await persisted.ready;
+    await persisted.selectTheme('alternate');
+    assert.equal(page.window.localStorage.getItem('panel-theme'), 'alternate');
+});
+
+// matchMedia for the two preference queries; set() flips one and notifies its listeners
+function fakePreferences(window, active = []) {
+    const matching = new Set(active);
+    const lists = [];
+    window.matchMedia = (query) => {
+        const listeners = [];
+        const list = {
+            media: query,
+            get matches() {
+                return matching.has(query);
+            },
+            addEventListener: (type, handler) => listeners.push(handler),
+            removeEventListener: (type, handler) => listeners.splice(listeners.indexOf(handler), 1),
+            listeners
+        };
+        lists.push(list);
+        return list;
+    };
+    return {
+        lists,
+        set(query, on) {
+            if (on) {
+                matching.add(query);
+            } else {
+                matching.delete(query);
+            }
+            lists.filter(list => list.media === query).forEach(list => list.listeners.slice().forEach(handler => handler({ matches: on })));
+        }
+    };
+}
+
+test('system colour preferences are sent to the API and followed when they change', async (t) => {
+    let preferences;
+    const page = createPage(t, {
+        routes: { 'GET /theme/cividis': [200, themePayload('cividis')], 'GET /theme': [200, themePayload('cividis')] },
+        beforeLoad(window) {
+            preferences = fakePreferences(window, ['(prefers-color-scheme: dark)']);
+        }
+    });
+    const instance = page.create({ live: true });
+    await instance.ready;
+    assert.equal(page.requests[0].url.search, '?mode=dark');
+    assert.equal(new URL(page.streams[0].url).searchParams.get('mode'), 'dark');
+
+    preferences.set('(prefers-contrast: more)', true);
+    await settle();
+    assert.equal(page.requests[1].url.search, '?contrast=more&mode=dark');
+    assert.equal(page.streams[0].closed, true);
+    assert.equal(new URL(page.streams[1].url).searchParams.get('contrast'), 'more');
+
+    instance.destroy();
+    assert.ok(preferences.lists.every(list => list.listeners.length === 0));
+
+    const ignoring = page.create({ respectPreferences: false });
+    await ignoring.ready;
+    assert.equal(page.requests[page.requests.length - 1].url.search, '');
+});
+
+// Answers with the theme's ETag, or 304 when If-None-Match already holds it
+function cacheableRoute(getPayload, getEtag) {
+    return (request) => {
+        const etag = getEtag();
+        if (request.headers['If-None-Match'] === etag) {
+            return [304];
+        }
+        return [200, getPayload(), { ETag: etag }];
+    };
+}
+
+test('refreshTheme() revalidates the applied theme with its ETag', async (t) => {
+    const page = createPickerPage(t, {
+        'GET /theme/cividis': cacheableRoute(() => themePayload('cividis'), () => '"cividis-1"'),
+        'GET /theme/alternate': cacheableRoute(() => themePayload('alternate'), () => '"alternate-1"')
+    });
+    const instance = page.create();
+    const applied = [];
+    instance.on('applied', event => applied.push(event.colors.primary));
+    await instance.ready;
+    assert.equal(page.requests[0].headers['If-None-Match'], undefined);
+    assert.equal(await instance.refreshTheme(), false);
+    assert.equal(page.requests[1].headers['If-None-Match'], '"cividis-1"');
+
+    // A picked theme is fetched the same way, so it is revalidated with its own ETag
+    assert.equal(await instance.selectTheme('alternate'), true);
+    assert.equal(page.requests[2].headers['If-None-Match'], undefined);
+    assert.equal(instance.currentThemeUrl, `${API}/theme/alternate`);
+    assert.equal(await instance.refreshTheme(), false);
+    assert.equal(page.requests[3].headers['If-None-Match'], '"alternate-1"');
+    assert.deepEqual(applied, [BUILT_IN_PALETTES.cividis.colors.primary, BUILT_IN_PALETTES.alternate.colors.primary]);
+});
+
+test('a pushed rotation theme is downloaded, so later refreshes can revalidate it', async (t) => {
+    let current = 'cividis';
+    const page = createPage(t, {
+        routes: { 'GET /theme': cacheableRoute(() => themePayload(current), () => `"${current}"`) }
+    });
+    const instance = page.create({ apiEndpoint: `${API}/theme`, live: true });
+    await instance.ready;
+
+    current = 'alternate';
+    page.streams[0].emit('theme', themePayload('alternate'));
+    await settle();
+    assert.equal(page.requests[1].headers['If-None-Match'], '"cividis"');
+    assert.equal(rootVariable(page, '--theme-primary'), BUILT_IN_PALETTES.alternate.colors.primary);
+    assert.equal(instance.currentThemeUrl, `${API}/theme`);
+    assert.equal(await instance.refreshTheme(), false);
+    assert.equal(page.requests[2].headers['If-None-Match'], '"alternate"');
+});
+
+test('the engine\'s script tag configures the automatic instance', async (t) => {
+    const page = createPage(t, {
+        routes: { 'GET /theme/alternate': [200, themePayload('alternate')] },
+        engineTag: `data-endpoint="${API}/theme" data-theme="alternate" data-cta-position="none" data-debug="false"`
+    });
+    const instance = page.window.cividisTheme;
+    assert.ok(instance instanceof page.CividisTheme);
+    assert.equal(page.window.CividisTheme, page.CividisTheme);
+    await instance.ready;
+    assert.equal(page.requests[0].url.href, `${API}/theme/alternate`);
+    assert.equal(instance.config.debug, false);
+    assert.equal(instance.followsRotation(), false);
+    assert.deepEqual(page.errors, []);
+    assert.equal(rootVariable(page, '--theme-primary'), BUILT_IN_PALETTES.alternate.colors.primary);
+});
+
+test('data-autoinit="false" leaves starting an instance to the page', async (t) => {
+    const page = createPage(t, { engineTag: 'data-autoinit="false" data-theme="alternate"' });
+    await settle();
+    assert.equal(page.window.cividisTheme, undefined);
+    assert.equal(page.window.CividisTheme, page.CividisTheme);
+    assert.equal(page.requests.length, 0);
+});
+
+test('scriptConfig reads the documented data attributes', (t) => {
+    const page = createPage(t);
+    const script = page.document.createElement('script');
+    Object.assign(script.dataset, {
+        endpoint: `${API}/theme`,
+        theme: 'alternate',
+        ctaPosition: 'bottom-left',
+        ctaText: 'Colours',
+        debug: '',
+        live: 'no',
+        target: '#app',
+        unknown: 'ignored'
+    });
+    // Objects from the page have the page's Object.prototype
+    assert.deepEqual(JSON.parse(JSON.stringify(page.CividisTheme.scriptConfig(script))), {
+        apiEndpoint: `${API}/theme`,
+        theme: 'alternate',
+        ctaConfig: { position: 'bottom-left', text: 'Colours' },
+        debug: true,
+        live: false,
+        target: '#app'
+    });
+    assert.equal(Object.keys(page.CividisTheme.scriptConfig(null)).length, 0);
+});
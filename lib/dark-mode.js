@@ -0,0 +1,119 @@
+/**
+ * Dark Mode Variants
+ * Derives a dark palette from a light one:
+ * - background, surface, border and text have their OKLab lightness inverted into a dark range,
+ *   stretched so near-white neutrals stay distinguishable once dark
+ * - accent roles keep their place on the Cividis colormap, compressed towards its light end
+ *   just far enough that every one of them reaches AA contrast on the dark surface,
+ *   and spread apart where they would land too close together to tell apart
+ * - text is lightened until it reaches AAA on the dark surface
+ */
+
+const tokens = require('../theme-tokens');
+const { sampleCividis, nearestCividisPosition } = require('./palette-generator');
+
+const MODES = ['light', 'dark'];
+const NEUTRAL_ROLES = ['background', 'surface', 'border', 'text'];
+const ACCENT_ROLES = ['primary', 'secondary', 'accent', 'success', 'warning', 'info'];
+// OKLab lightness range the inverted neutrals are mapped into (pure black and white are harsh on screens)
+const DARK_LIGHTNESS = { min: 0.2, max: 0.96 };
+const INVERSION_STRETCH = 1.5;
+const COLORMAP_STEPS = 255;
+// Smallest gap between two accents, as a share of the even spacing across the readable range
+const MIN_ACCENT_SPACING = 0.5;
+
+// A palette's own mode, from the lightness of its background
+function paletteMode(colors) {
+    return tokens.toOklab(tokens.parseColor(colors.background)).L >= 0.5 ? 'light' : 'dark';
+}
+
+// Modes a theme can be served in: light palettes get a derived dark variant
+function availableModes(colors) {
+    return paletteMode(colors) === 'light' ? MODES : ['dark'];
+}
+
+function invertLightness(color) {
+    const lab = tokens.toOklab(color);
+    return tokens.fromOklab({
+        L: Math.min(DARK_LIGHTNESS.max, DARK_LIGHTNESS.min + (1 - lab.L) * INVERSION_STRETCH),
+        a: lab.a,
+        b: lab.b
+    });
+}
+
+function lightenUntil(color, backdrop, ratio) {
+    const lab = tokens.toOklab(color);
+    let candidate = color;
+    for (let L = lab.L; L <= 1 && tokens.contrastRatio(candidate, backdrop) < ratio; L += 0.01) {
+        candidate = tokens.fromOklab({ L, a: lab.a, b: lab.b });
+    }
+    return candidate;
+}
+
+// First colormap position whose colour reaches AA on the backdrop (Cividis lightness rises monotonically)
+function firstReadablePosition(backdrop) {
+    for (let step = 0; step <= COLORMAP_STEPS; step++) {
+        const t = step / COLORMAP_STEPS;
+        if (tokens.meetsWcag(tokens.contrastRatio(sampleCividis(t), backdrop), 'AA')) {
+            return t;
+        }
+    }
+    return 1;
+}
+
+// Push colliding positions apart to at least `gap`, staying within [start, 1] and keeping their order
+function spreadPositions(positions, start, gap) {
+    const order = Object.keys(positions).sort((a, b) => positions[a] - positions[b]);
+    const spread = { ...positions };
+    for (let i = 1; i < order.length; i++) {
+        spread[order[i]] = Math.max(spread[order[i]], spread[order[i - 1]] + gap);
+    }
+    // Whatever was pushed past the light end comes back down, pushing its neighbours with it
+    spread[order[order.length - 1]] = Math.min(spread[order[order.length - 1]], 1);
+    for (let i = order.length - 2; i >= 0; i--) {
+        spread[order[i]] = Math.max(start, Math.min(spread[order[i]], spread[order[i + 1]] - gap));
+    }
+    return spread;
+}
+
+function deriveDarkColors(colors) {
+    const parsed = {};
+    for (const role of tokens.ROLES) {
+        parsed[role] = tokens.parseColor(colors[role]);
+    }
+
+    const dark = {};
+    for (const role of NEUTRAL_ROLES) {
+        dark[role] = invertLightness(parsed[role]);
+    }
+    // Accents and text are checked against whichever of background / surface is lighter
+    const backdrop = tokens.relativeLuminance(dark.surface) > tokens.relativeLuminance(dark.background)
+        ? dark.surface
+        : dark.background;
+    dark.text = lightenUntil(dark.text, backdrop, tokens.WCAG_THRESHOLDS.AAA.normal);
+
+    const start = firstReadablePosition(backdrop);
+    const positions = {};
+    for (const role of ACCENT_ROLES) {
+        positions[role] = start + nearestCividisPosition(parsed[role]) * (1 - start);
+    }
+    const gap = (1 - start) / (ACCENT_ROLES.length - 1) * MIN_ACCENT_SPACING;
+    const spread = spreadPositions(positions, start, gap);
+    for (const role of ACCENT_ROLES) {
+        dark[role] = sampleCividis(spread[role]);
+    }
+
+    const result = {};
+    for (const role of tokens.ROLES) {
+        result[role] = tokens.toHex(dark[role]);
+    }
+    return result;
+}
+
+module.exports = {
+    MODES,
+    ACCENT_ROLES,
+    paletteMode,
+    availableModes,
+    deriveDarkColors
+};
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const tokens = require('../theme-tokens');
+const { BUILT_IN_PALETTES } = require('./theme-registry');
+const { ACCENT_ROLES, paletteMode, availableModes, deriveDarkColors } = require('./dark-mode');
+
+const blue = {
+    ...BUILT_IN_PALETTES.cividis.colors,
+    primary: '#1e3a8a',
+    secondary: '#1e40af',
+    accent: '#1d4ed8',
+    success: '#1e3a8a',
+    warning: '#1e40af',
+    info: '#1d4ed8'
+};
+const palettes = { ...BUILT_IN_PALETTES, blue: { name: 'Blue', colors: blue } };
+
+test('light palettes offer a derived dark mode', () => {
+    assert.equal(paletteMode(blue), 'light');
+    assert.deepEqual(availableModes(blue), ['light', 'dark']);
+    const dark = deriveDarkColors(blue);
+    assert.equal(paletteMode(dark), 'dark');
+    assert.deepEqual(availableModes(dark), ['dark']);
+});
+
+for (const [id, { colors }] of Object.entries(palettes)) {
+    test(`${id}: dark accents stay apart and readable`, () => {
+        const dark = deriveDarkColors(colors);
+        for (const [i, role] of ACCENT_ROLES.entries()) {
+            for (const backdrop of ['background', 'surface']) {
+                const ratio = tokens.contrastRatio(tokens.parseColor(dark[role]), tokens.parseColor(dark[backdrop]));
+                assert.ok(tokens.meetsWcag(ratio, 'AA'), `${role} on ${backdrop}: ${ratio}`);
+            }
+            for (const other of ACCENT_ROLES.slice(i + 1)) {
+                assert.ok(tokens.colorDistance(tokens.parseColor(dark[role]), tokens.parseColor(dark[other])) > 0.02, `${role} ${dark[role]} vs ${other} ${dark[other]}`);
+            }
+        }
+        const text = tokens.contrastRatio(tokens.parseColor(dark.text), tokens.parseColor(dark.surface));
+        assert.ok(tokens.meetsWcag(text, 'AAA'), `text: ${text}`);
+    });
+}
@@ -0,0 +1,108 @@
+/**
+ * High Contrast Variants
+ * Derives a `prefers-contrast: more` palette from any palette, light or dark:
+ * - background and text go to the extremes (white on black in dark mode), surface halfway there
+ * - border is pushed away from the background until it reaches 3:1, the WCAG minimum for UI components
+ * - accent roles keep their OKLab hue; their lightness moves away from the background until each reaches
+ *   AA contrast on both background and surface and stands apart from the accents before it
+ *   (chroma only drops where sRGB cannot show it at the new lightness, instead of clipping into another hue)
+ */
+
+const tokens = require('../theme-tokens');
+const { paletteMode } = require('./dark-mode');
+
+const CONTRASTS = ['normal', 'more'];
+const NEUTRAL_ROLES = ['background', 'surface', 'border', 'text'];
+const BORDER_CONTRAST = 3;
+const LIGHTNESS_STEP = 0.01;
+// How far an 8-bit round trip may drift from the requested OKLab colour before it counts as clipped
+const GAMUT_TOLERANCE = 0.01;
+// Smallest OKLab distance between two accents, so roles pushed to the same threshold stay apart
+const MIN_ACCENT_DISTANCE = 0.04;
+// Share of the way from its own lightness to the background's that surface is moved
+const SURFACE_PULL = 0.5;
+
+const EXTREMES = {
+    light: { background: { r: 255, g: 255, b: 255 }, text: { r: 0, g: 0, b: 0 } },
+    dark: { background: { r: 0, g: 0, b: 0 }, text: { r: 255, g: 255, b: 255 } }
+};
+
+function minimumContrast(color, backdrops) {
+    return Math.min(...backdrops.map(backdrop => tokens.contrastRatio(color, backdrop)));
+}
+
+function fitsGamut(lab) {
+    const back = tokens.toOklab(tokens.fromOklab(lab));
+    return Math.hypot(back.L - lab.L, back.a - lab.a, back.b - lab.b) < GAMUT_TOLERANCE;
+}
+
+// Colour at lightness L with the hue of (a, b) and as much of its chroma as sRGB can show there
+function fromOklabInGamut(L, a, b) {
+    if (fitsGamut({ L, a, b })) {
+        return tokens.fromOklab({ L, a, b });
+    }
+    let low = 0;
+    let high = 1;
+    for (let i = 0; i < 12; i++) {
+        const share = (low + high) / 2;
+        if (fitsGamut({ L, a: a * share, b: b * share })) {
+            low = share;
+        } else {
+            high = share;
+        }
+    }
+    return tokens.fromOklab({ L, a: a * low, b: b * low });
+}
+
+// Step OKLab lightness towards `target` (0 or 1) until `accept` takes the colour
+function shiftUntil(color, target, accept) {
+    const lab = tokens.toOklab(color);
+    const direction = target > lab.L ? 1 : -1;
+    let candidate = color;
+    for (let L = lab.L; !accept(candidate); L += direction * LIGHTNESS_STEP) {
+        if ((target - L) * direction <= 0) {
+            // Ran out of lightness (another accent sits at the end of the range): the extreme itself always passes AA
+            return target ? { r: 255, g: 255, b: 255 } : { r: 0, g: 0, b: 0 };
+        }
+        candidate = fromOklabInGamut(L, lab.a, lab.b);
+    }
+    return candidate;
+}
+
+function deriveHighContrastColors(colors) {
+    const mode = paletteMode(colors);
+    const away = mode === 'light' ? 0 : 1;
+    const parsed = {};
+    for (const role of tokens.ROLES) {
+        parsed[role] = tokens.parseColor(colors[role]);
+    }
+
+    const result = { ...EXTREMES[mode] };
+    const surface = tokens.toOklab(parsed.surface);
+    const backgroundL = 1 - away;
+    result.surface = tokens.fromOklab({ ...surface, L: surface.L + (backgroundL - surface.L) * SURFACE_PULL });
+    const backdrops = [result.background, result.surface];
+    result.border = shiftUntil(parsed.border, away, color => minimumContrast(color, backdrops) >= BORDER_CONTRAST);
+
+    const accents = [];
+    for (const role of tokens.ROLES) {
+        if (NEUTRAL_ROLES.includes(role)) {
+            continue;
+        }
+        result[role] = shiftUntil(parsed[role], away, color =>
+            minimumContrast(color, backdrops) >= tokens.WCAG_THRESHOLDS.AA.normal &&
+            accents.every(other => tokens.colorDistance(color, other) >= MIN_ACCENT_DISTANCE));
+        accents.push(result[role]);
+    }
+
+    const hex = {};
+    for (const role of tokens.ROLES) {
+        hex[role] = tokens.toHex(result[role]);
+    }
+    return hex;
+}
+
+module.exports = {
+    CONTRASTS,
+    deriveHighContrastColors
+};
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const tokens = require('../theme-tokens');
+const { BUILT_IN_PALETTES } = require('./theme-registry');
+const { ACCENT_ROLES, paletteMode, deriveDarkColors } = require('./dark-mode');
+const { deriveHighContrastColors } = require('./high-contrast');
+
+function ratio(a, b) {
+    return tokens.contrastRatio(tokens.parseColor(a), tokens.parseColor(b));
+}
+
+// OKLab hue angle; null for near-greys, whose hue rounding alone can swing
+function hue(color) {
+    const { a, b } = tokens.toOklab(tokens.parseColor(color));
+    return Math.hypot(a, b) < 0.03 ? null : Math.atan2(b, a);
+}
+
+for (const [id, { colors: light }] of Object.entries(BUILT_IN_PALETTES)) {
+    for (const [mode, colors] of [['light', light], ['dark', deriveDarkColors(light)]]) {
+        test(`${id} ${mode}: every role reaches its threshold and accents keep their hue`, () => {
+            const high = deriveHighContrastColors(colors);
+            assert.equal(paletteMode(high), mode);
+            assert.equal(high.background, mode === 'light' ? '#ffffff' : '#000000');
+            assert.equal(high.text, mode === 'light' ? '#000000' : '#ffffff');
+            for (const backdrop of ['background', 'surface']) {
+                assert.ok(ratio(high.border, high[backdrop]) >= 3, `border on ${backdrop}`);
+                for (const role of ACCENT_ROLES) {
+                    assert.ok(tokens.meetsWcag(ratio(high[role], high[backdrop]), 'AA'), `${role} on ${backdrop}`);
+                }
+            }
+            for (const [i, role] of ACCENT_ROLES.entries()) {
+                if (hue(colors[role]) !== null) {
+                    assert.ok(Math.abs(hue(high[role]) - hue(colors[role])) < 0.1, `${role} hue`);
+                }
+                for (const other of ACCENT_ROLES.slice(i + 1)) {
+                    assert.notEqual(high[role], high[other], `${role} vs ${other}`);
+                }
+            }
+        });
+    }
+}
+
+test('roles that already pass are left alone', () => {
+    const high = deriveHighContrastColors(BUILT_IN_PALETTES.cividis.colors);
+    assert.equal(high.primary, '#00204c');
+    assert.equal(high.success, '#0a376d');
+});
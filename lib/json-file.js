@@ -0,0 +1,30 @@
+/**
+ * JSON file helpers shared by the file-backed stores.
+ * Writes go to a temporary file first and are renamed into place, so a crash never leaves half a file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Returns `fallback` when the file does not exist yet
+function readJsonFile(filePath, fallback) {
+    let raw;
+    try {
+        raw = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return fallback;
+        }
+        throw error;
+    }
+    return JSON.parse(raw);
+}
+
+function writeJsonFile(filePath, data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2) + '\n');
+    fs.renameSync(tempPath, filePath);
+}
+
+module.exports = { readJsonFile, writeJsonFile };
@@ -0,0 +1,257 @@
+/**
+ * Cividis Palette Generator
+ * Samples the Cividis colormap (Nuñez, Anderton & Renslow, 2018) and assigns the samples to the palette roles.
+ * - Reference colours are the published colormap at ten evenly spaced positions
+ * - Between them the map is interpolated in OKLab, so steps stay perceptually even
+ * - Role assignments pick samples by relative position, optionally re-toned in OKLab
+ * - Roles that take a sample as it is never share a colour: a role whose stop is taken moves to the nearest free one
+ */
+
+const tokens = require('../theme-tokens');
+
+// Cividis at t = 0, 1/9, ..., 1 (same values as viridisLite::cividis(10))
+const CIVIDIS_REFERENCE = [
+    '#00204d',
+    '#00336f',
+    '#39486b',
+    '#575c6d',
+    '#707173',
+    '#8a8779',
+    '#a69d75',
+    '#c4b56c',
+    '#e4cf5b',
+    '#ffea46'
+];
+
+const REFERENCE_LAB = CIVIDIS_REFERENCE.map(hex => tokens.toOklab(tokens.parseColor(hex)));
+
+const MAX_STOPS = 32;
+const DEFAULT_STOPS = 10;
+
+// Base role assignments: `at` is a position along the sampled stops (0 = first, 1 = last).
+// `lightness` / `chroma` re-tone the sample in OKLab for the neutral roles, keeping its hue.
+const ASSIGNMENTS = {
+    light: {
+        primary: { at: 0 },
+        success: { at: 0.1 },
+        info: { at: 0.2 },
+        secondary: { at: 0.45 },
+        accent: { at: 0.75 },
+        warning: { at: 1 },
+        background: { at: 1, lightness: 0.995, chroma: 0.05 },
+        surface: { at: 1, lightness: 0.97, chroma: 0.1 },
+        border: { at: 0.5, lightness: 0.9, chroma: 0.3 },
+        text: { at: 0, lightness: 0.22, chroma: 0.3 }
+    },
+    dark: {
+        primary: { at: 1 },
+        success: { at: 0.8 },
+        info: { at: 0.55 },
+        secondary: { at: 0.4 },
+        accent: { at: 0.7 },
+        warning: { at: 0.9 },
+        background: { at: 0, lightness: 0.18, chroma: 0.6 },
+        surface: { at: 0, lightness: 0.24, chroma: 0.6 },
+        border: { at: 0.2, lightness: 0.38, chroma: 0.5 },
+        text: { at: 1, lightness: 0.96, chroma: 0.15 }
+    }
+};
+
+// Roles that use a sample as it is (the rest are re-toned); each needs a stop of its own
+const SAMPLED_ROLES = tokens.ROLES.filter(role => ASSIGNMENTS.light[role].lightness === undefined);
+const MIN_STOPS = SAMPLED_ROLES.length;
+
+// Colour at position t (0..1) along the colormap
+function sampleCividis(t) {
+    const position = Math.min(1, Math.max(0, t)) * (REFERENCE_LAB.length - 1);
+    const index = Math.min(Math.floor(position), REFERENCE_LAB.length - 2);
+    const weight = position - index;
+    const from = REFERENCE_LAB[index];
+    const to = REFERENCE_LAB[index + 1];
+    return tokens.fromOklab({
+        L: from.L + (to.L - from.L) * weight,
+        a: from.a + (to.a - from.a) * weight,
+        b: from.b + (to.b - from.b) * weight
+    });
+}
+
+// 256 samples, the resolution of the published colormap, for nearest-position lookups
+const LOOKUP_SIZE = 256;
+let lookupTable = null;
+
+// Position (0..1) of the colormap colour closest to `color` in OKLab
+function nearestCividisPosition(color) {
+    if (!lookupTable) {
+        lookupTable = [];
+        for (let i = 0; i < LOOKUP_SIZE; i++) {
+            lookupTable.push(sampleCividis(i / (LOOKUP_SIZE - 1)));
+        }
+    }
+    let best = 0;
+    let bestDistance = Infinity;
+    lookupTable.forEach((sample, index) => {
+        const distance = tokens.colorDistance(color, sample);
+        if (distance < bestDistance) {
+            best = index;
+            bestDistance = distance;
+        }
+    });
+    return best / (LOOKUP_SIZE - 1);
+}
+
+// `count` evenly spaced samples between start and end (end < start walks the map backwards)
+function sampleStops(count, start = 0, end = 1) {
+    const stops = [];
+    for (let i = 0; i < count; i++) {
+        const t = start + (end - start) * (i / (count - 1));
+        stops.push({ position: Math.round(t * 1000) / 1000, color: tokens.toHex(sampleCividis(t)) });
+    }
+    return stops;
+}
+
+function retone(hex, lightness, chroma = 1) {
+    const lab = tokens.toOklab(tokens.parseColor(hex));
+    return tokens.toHex(tokens.fromOklab({
+        L: lightness === undefined ? lab.L : lightness,
+        a: lab.a * chroma,
+        b: lab.b * chroma
+    }));
+}
+
+// Parse and validate the /theme/generate query; returns { options, errors }
+function parseGenerateQuery(query = {}) {
+    const errors = [];
+    const options = { stops: DEFAULT_STOPS, start: 0, end: 1, base: 'light', overrides: {} };
+
+    if (query.stops !== undefined) {
+        const stops = Number(query.stops);
+        if (!Number.isInteger(stops) || stops < MIN_STOPS || stops > MAX_STOPS) {
+            errors.push({ path: 'stops', message: `must be an integer from ${MIN_STOPS} to ${MAX_STOPS} (got ${JSON.stringify(query.stops)})` });
+        } else {
+            options.stops = stops;
+        }
+    }
+
+    for (const field of ['start', 'end']) {
+        if (query[field] === undefined) {
+            continue;
+        }
+        const value = Number(query[field]);
+        if (query[field] === '' || !Number.isFinite(value) || value < 0 || value > 1) {
+            errors.push({ path: field, message: `must be a number from 0 to 1 (got ${JSON.stringify(query[field])})` });
+        } else {
+            options[field] = value;
+        }
+    }
+    if (options.start === options.end) {
+        errors.push({ path: 'end', message: 'must differ from start' });
+    }
+
+    if (query.base !== undefined) {
+        if (!ASSIGNMENTS[query.base]) {
+            errors.push({ path: 'base', message: `must be one of ${Object.keys(ASSIGNMENTS).join(', ')} (got ${JSON.stringify(query.base)})` });
+        } else {
+            options.base = query.base;
+        }
+    }
+
+    // assign=primary:0,warning:9 pins roles to stop indexes
+    if (query.assign !== undefined) {
+        for (const pair of String(query.assign).split(',').filter(Boolean)) {
+            const [role, index] = pair.split(':').map(part => part && part.trim());
+            const stop = Number(index);
+            if (!tokens.ROLES.includes(role)) {
+                errors.push({ path: `assign.${role}`, message: `is not a palette role (expected one of ${tokens.ROLES.join(', ')})` });
+            } else if (!Number.isInteger(stop) || stop < 0 || stop >= options.stops) {
+                errors.push({ path: `assign.${role}`, message: `must be a stop index from 0 to ${options.stops - 1} (got ${JSON.stringify(index)})` });
+            } else {
+                options.overrides[role] = stop;
+            }
+        }
+    }
+
+    if (!errors.length) {
+        errors.push(...checkDistinctColors(options));
+    }
+
+    return { options, errors };
+}
+
+// Quantised samples can coincide (a narrow range, or two pinned stops); every sampled role needs its own colour
+function checkDistinctColors({ stops, start, end, overrides }) {
+    const errors = [];
+    const colors = sampleStops(stops, start, end).map(sample => sample.color);
+    const pinned = {};
+    for (const [role, stop] of Object.entries(overrides)) {
+        const other = Object.keys(pinned).find(pinnedRole => pinned[pinnedRole] === colors[stop]);
+        if (other) {
+            errors.push({ path: `assign.${role}`, message: `must differ from assign.${other} (both are ${colors[stop]})` });
+        }
+        pinned[role] = colors[stop];
+    }
+    const needed = new Set([...SAMPLED_ROLES, ...Object.keys(overrides)]).size;
+    if (new Set(colors).size < needed) {
+        errors.push({ path: 'end', message: `is too close to start: the ${stops} stops give fewer than ${needed} distinct colours` });
+    }
+    return errors;
+}
+
+// Stop for each role: pinned roles keep theirs, sampled roles take the stop nearest their position whose colour is free
+function assignStops(samples, base, overrides) {
+    const stops = { ...overrides };
+    const used = new Set(Object.values(overrides).map(stop => samples[stop].color));
+    const last = samples.length - 1;
+    for (const role of tokens.ROLES) {
+        if (role in stops) {
+            continue;
+        }
+        const preferred = Math.round(ASSIGNMENTS[base][role].at * last);
+        if (!SAMPLED_ROLES.includes(role)) {
+            stops[role] = preferred;
+            continue;
+        }
+        for (let distance = 0; distance <= last; distance++) {
+            const free = [preferred - distance, preferred + distance]
+                .find(stop => stop >= 0 && stop <= last && !used.has(samples[stop].color));
+            if (free !== undefined) {
+                stops[role] = free;
+                used.add(samples[free].color);
+                break;
+            }
+        }
+    }
+    return stops;
+}
+
+// Build a full palette from the colormap: { colors, stops, assignment }
+function generatePalette({ stops = DEFAULT_STOPS, start = 0, end = 1, base = 'light', overrides = {} } = {}) {
+    const samples = sampleStops(stops, start, end);
+    const roleStops = assignStops(samples, base, overrides);
+    const colors = {};
+    const assignment = {};
+    for (const role of tokens.ROLES) {
+        const stop = roleStops[role];
+        if (role in overrides) {
+            colors[role] = samples[stop].color;
+            assignment[role] = { stop };
+            continue;
+        }
+        const { lightness, chroma } = ASSIGNMENTS[base][role];
+        colors[role] = lightness === undefined ? samples[stop].color : retone(samples[stop].color, lightness, chroma);
+        assignment[role] = lightness === undefined ? { stop } : { stop, lightness, chroma };
+    }
+    return { colors, stops: samples, assignment };
+}
+
+module.exports = {
+    CIVIDIS_REFERENCE,
+    ASSIGNMENTS,
+    SAMPLED_ROLES,
+    MIN_STOPS,
+    MAX_STOPS,
+    sampleCividis,
+    nearestCividisPosition,
+    sampleStops,
+    parseGenerateQuery,
+    generatePalette
+};
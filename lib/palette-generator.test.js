@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SAMPLED_ROLES, MIN_STOPS, MAX_STOPS, parseGenerateQuery, generatePalette } = require('./palette-generator');
+
+function generate(query) {
+    const { options, errors } = parseGenerateQuery(query);
+    assert.deepEqual(errors, []);
+    return generatePalette(options);
+}
+
+test('sampled roles get distinct colours at every stop count', () => {
+    for (const base of ['light', 'dark']) {
+        for (let stops = MIN_STOPS; stops <= MAX_STOPS; stops++) {
+            const { colors } = generate({ stops: String(stops), base });
+            const sampled = SAMPLED_ROLES.map(role => colors[role]);
+            assert.equal(new Set(sampled).size, SAMPLED_ROLES.length, `${base}, ${stops} stops`);
+        }
+    }
+});
+
+test('the default light palette keeps its assignment', () => {
+    const { colors, assignment } = generate({});
+    assert.equal(colors.primary, '#00204d');
+    assert.equal(colors.warning, '#ffea46');
+    assert.deepEqual(SAMPLED_ROLES.map(role => assignment[role].stop), [0, 4, 7, 1, 9, 2]);
+});
+
+test('a taken stop moves the role to the nearest free one', () => {
+    const { assignment } = generate({ assign: 'background:0' });
+    assert.equal(assignment.background.stop, 0);
+    assert.equal(assignment.primary.stop, 1);
+    assert.equal(assignment.success.stop, 2);
+});
+
+test('too few stops, too narrow a range and duplicate pins are rejected', () => {
+    assert.deepEqual(parseGenerateQuery({ stops: String(MIN_STOPS - 1) }).errors.map(error => error.path), ['stops']);
+    assert.deepEqual(parseGenerateQuery({ start: '0.5', end: '0.501' }).errors.map(error => error.path), ['end']);
+    const duplicate = parseGenerateQuery({ assign: 'primary:0,success:0' }).errors;
+    assert.deepEqual(duplicate, [{ path: 'assign.success', message: 'must differ from assign.primary (both are #00204d)' }]);
+});
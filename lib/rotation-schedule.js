@@ -0,0 +1,260 @@
+/**
+ * Rotation Schedule
+ * Decides which theme GET /theme serves at a given moment.
+ *
+ * A schedule is an ordered list of rules; the first rule that matches wins:
+ *   { "type": "fixed", "theme": "cividis" }
+ *   { "type": "round-robin", "interval": 30000, "themes": ["cividis", "alternate"] }
+ *   { "type": "time-window", "start": "09:00", "end": "17:00", "days": ["mon", "fri"], "timezone": "Europe/London", "theme": "alternate" }
+ *   { "type": "weighted", "weights": { "cividis": 3, "alternate": 1 }, "interval": 60000 }
+ * Any rule may also carry a "name" (reported in meta) and "from" / "until" ISO dates for seasonal palettes.
+ * Rules that match nothing fall through to the default 30-second round robin over every theme.
+ *
+ * Weighted picks are seeded by the interval bucket, so every instance (and every ?at= preview) agrees.
+ * getRotationWindow() says how long the current pick is good for, which GET /theme uses as its max-age.
+ */
+
+const { readJsonFile } = require('./json-file');
+
+const RULE_TYPES = ['fixed', 'round-robin', 'time-window', 'weighted'];
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DEFAULT_INTERVAL = 30000;
+const DEFAULT_RULE = { name: 'default', type: 'round-robin', interval: DEFAULT_INTERVAL };
+// Time windows are checked on minute boundaries
+const WINDOW_RESOLUTION = 60000;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function parseClock(value) {
+    const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(value);
+    return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+// Collect every problem with a schedule; themeIds are the themes known right now
+function validateSchedule(schedule, themeIds) {
+    const errors = [];
+    if (!isPlainObject(schedule) || !Array.isArray(schedule.rules)) {
+        return [{ path: 'schedule.rules', message: 'must be an array' }];
+    }
+    const checkTheme = (path, theme) => {
+        if (!themeIds.includes(theme)) {
+            errors.push({ path, message: `must be a known theme (got ${JSON.stringify(theme)})` });
+        }
+    };
+    const checkInterval = (path, interval) => {
+        if (interval !== undefined && (!Number.isInteger(interval) || interval < 1000)) {
+            errors.push({ path, message: `must be an integer of at least 1000 ms (got ${JSON.stringify(interval)})` });
+        }
+    };
+
+    schedule.rules.forEach((rule, index) => {
+        const path = `schedule.rules[${index}]`;
+        if (!isPlainObject(rule) || !RULE_TYPES.includes(rule.type)) {
+            errors.push({ path: `${path}.type`, message: `must be one of ${RULE_TYPES.join(', ')}` });
+            return;
+        }
+        for (const field of ['from', 'until']) {
+            if (rule[field] !== undefined && Number.isNaN(Date.parse(rule[field]))) {
+                errors.push({ path: `${path}.${field}`, message: `must be an ISO date (got ${JSON.stringify(rule[field])})` });
+            }
+        }
+        if (rule.type === 'fixed' || rule.type === 'time-window') {
+            checkTheme(`${path}.theme`, rule.theme);
+        }
+        if (rule.type === 'round-robin') {
+            checkInterval(`${path}.interval`, rule.interval);
+            if (rule.themes !== undefined) {
+                if (!Array.isArray(rule.themes) || !rule.themes.length) {
+                    errors.push({ path: `${path}.themes`, message: 'must be a non-empty array' });
+                } else {
+                    rule.themes.forEach((theme, i) => checkTheme(`${path}.themes[${i}]`, theme));
+                }
+            }
+        }
+        if (rule.type === 'time-window') {
+            for (const field of ['start', 'end']) {
+                if (parseClock(rule[field]) === null) {
+                    errors.push({ path: `${path}.${field}`, message: `must be a HH:MM time (got ${JSON.stringify(rule[field])})` });
+                }
+            }
+            if (rule.days !== undefined && (!Array.isArray(rule.days) || rule.days.some(day => !DAYS.includes(day)))) {
+                errors.push({ path: `${path}.days`, message: `must be an array of ${DAYS.join(', ')}` });
+            }
+            if (rule.timezone !== undefined) {
+                try {
+                    new Intl.DateTimeFormat('en-GB', { timeZone: rule.timezone });
+                } catch (error) {
+                    errors.push({ path: `${path}.timezone`, message: `must be an IANA time zone (got ${JSON.stringify(rule.timezone)})` });
+                }
+            }
+        }
+        if (rule.type === 'weighted') {
+            checkInterval(`${path}.interval`, rule.interval);
+            const entries = isPlainObject(rule.weights) ? Object.entries(rule.weights) : [];
+            if (!entries.length) {
+                errors.push({ path: `${path}.weights`, message: 'must map theme ids to positive numbers' });
+            }
+            for (const [theme, weight] of entries) {
+                checkTheme(`${path}.weights.${theme}`, theme);
+                if (typeof weight !== 'number' || !(weight > 0)) {
+                    errors.push({ path: `${path}.weights.${theme}`, message: `must be a positive number (got ${JSON.stringify(weight)})` });
+                }
+            }
+        }
+    });
+    return errors;
+}
+
+// Minutes since midnight and weekday of `at` in a time zone
+function localClock(at, timezone = 'UTC') {
+    const parts = {};
+    const format = new Intl.DateTimeFormat('en-GB', {
+        timeZone: timezone,
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    });
+    for (const part of format.formatToParts(at)) {
+        parts[part.type] = part.value;
+    }
+    return {
+        minutes: Number(parts.hour) * 60 + Number(parts.minute),
+        day: parts.weekday.toLowerCase().slice(0, 3)
+    };
+}
+
+// Deterministic 0..1 value for an interval bucket (mulberry32)
+function seededRandom(seed) {
+    let t = (seed + 0x6d2b79f5) | 0;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+// Theme id the rule picks at `at`, or null when it does not apply
+function evaluateRule(rule, at, themeIds) {
+    const time = at.getTime();
+    if (rule.from !== undefined && time < Date.parse(rule.from)) {
+        return null;
+    }
+    if (rule.until !== undefined && time >= Date.parse(rule.until)) {
+        return null;
+    }
+    switch (rule.type) {
+        case 'fixed':
+            return rule.theme;
+        case 'round-robin': {
+            const themes = (rule.themes || themeIds).filter(theme => themeIds.includes(theme));
+            if (!themes.length) {
+                return null;
+            }
+            return themes[Math.floor(time / (rule.interval || DEFAULT_INTERVAL)) % themes.length];
+        }
+        case 'time-window': {
+            const { minutes, day } = localClock(at, rule.timezone);
+            if (rule.days && !rule.days.includes(day)) {
+                return null;
+            }
+            const start = parseClock(rule.start);
+            const end = parseClock(rule.end);
+            // A window whose end is before its start runs past midnight
+            const inside = start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+            return inside ? rule.theme : null;
+        }
+        case 'weighted': {
+            const entries = Object.entries(rule.weights).filter(([theme]) => themeIds.includes(theme));
+            const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+            if (!total) {
+                return null;
+            }
+            let pick = seededRandom(Math.floor(time / (rule.interval || DEFAULT_INTERVAL))) * total;
+            for (const [theme, weight] of entries) {
+                pick -= weight;
+                if (pick < 0) {
+                    return theme;
+                }
+            }
+            return entries[entries.length - 1][0];
+        }
+        default:
+            return null;
+    }
+}
+
+// { themeName, rule: { index, name, type } } for the first matching rule
+function resolveSchedule(schedule, at, themeIds) {
+    const rules = schedule.rules;
+    for (let index = 0; index < rules.length; index++) {
+        const rule = rules[index];
+        const themeName = evaluateRule(rule, at, themeIds);
+        // Themes deleted since the schedule was loaded are skipped
+        if (themeName && themeIds.includes(themeName)) {
+            return { themeName, rule: { index, name: rule.name || `rules[${index}]`, type: rule.type } };
+        }
+    }
+    return {
+        themeName: evaluateRule(DEFAULT_RULE, at, themeIds),
+        rule: { index: null, name: DEFAULT_RULE.name, type: DEFAULT_RULE.type }
+    };
+}
+
+// How often the live stream should re-check the schedule
+function getPollInterval(schedule) {
+    const intervals = schedule.rules
+        .filter(rule => rule.type === 'round-robin' || rule.type === 'weighted')
+        .map(rule => rule.interval || DEFAULT_INTERVAL);
+    return Math.min(WINDOW_RESOLUTION, DEFAULT_INTERVAL, ...intervals);
+}
+
+// Next moment a single rule could start or stop matching, or change the theme it picks (null: never)
+function nextRuleBoundary(rule, time) {
+    const boundaries = [];
+    for (const field of ['from', 'until']) {
+        const date = rule[field] !== undefined ? Date.parse(rule[field]) : NaN;
+        if (date > time) {
+            boundaries.push(date);
+        }
+    }
+    if (rule.type === 'round-robin' || rule.type === 'weighted') {
+        const interval = rule.interval || DEFAULT_INTERVAL;
+        boundaries.push(time - (time % interval) + interval);
+    }
+    if (rule.type === 'time-window') {
+        boundaries.push(time - (time % WINDOW_RESOLUTION) + WINDOW_RESOLUTION);
+    }
+    return boundaries.length ? Math.min(...boundaries) : null;
+}
+
+// Milliseconds until the theme served at `at` may change, or null when only a registry edit can change it
+// Only the matching rule and the rules before it matter: a later rule cannot win while the match holds
+function getRotationWindow(schedule, at, themeIds) {
+    const time = at.getTime();
+    const { rule } = resolveSchedule(schedule, at, themeIds);
+    const rules = rule.index === null ? [...schedule.rules, DEFAULT_RULE] : schedule.rules.slice(0, rule.index + 1);
+    const boundaries = rules.map(candidate => nextRuleBoundary(candidate, time)).filter(boundary => boundary !== null);
+    return boundaries.length ? Math.min(...boundaries) - time : null;
+}
+
+// THEME_SCHEDULE_FILE (path to JSON) or THEME_SCHEDULE (inline JSON); the default is the 30-second round robin
+function loadSchedule(env = process.env) {
+    if (env.THEME_SCHEDULE_FILE) {
+        return readJsonFile(env.THEME_SCHEDULE_FILE, { rules: [] });
+    }
+    if (env.THEME_SCHEDULE) {
+        return JSON.parse(env.THEME_SCHEDULE);
+    }
+    return { rules: [DEFAULT_RULE] };
+}
+
+module.exports = {
+    RULE_TYPES,
+    DEFAULT_RULE,
+    validateSchedule,
+    resolveSchedule,
+    getPollInterval,
+    getRotationWindow,
+    loadSchedule
+};
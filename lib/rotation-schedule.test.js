@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_RULE, validateSchedule, resolveSchedule, getPollInterval, getRotationWindow, loadSchedule } = require('./rotation-schedule');
+
+const THEMES = ['cividis', 'alternate'];
+
+test('the default round robin alternates every 30 seconds', () => {
+    const schedule = { rules: [DEFAULT_RULE] };
+    assert.equal(resolveSchedule(schedule, new Date(0), THEMES).themeName, 'cividis');
+    assert.equal(resolveSchedule(schedule, new Date(30000), THEMES).themeName, 'alternate');
+    assert.equal(resolveSchedule(schedule, new Date(60000), THEMES).themeName, 'cividis');
+});
+
+test('the first matching rule wins and is reported', () => {
+    const schedule = {
+        rules: [
+            { name: 'winter', type: 'fixed', theme: 'alternate', from: '2025-12-01T00:00:00Z', until: '2026-03-01T00:00:00Z' },
+            { type: 'fixed', theme: 'cividis' }
+        ]
+    };
+    const inside = resolveSchedule(schedule, new Date('2026-01-15T12:00:00Z'), THEMES);
+    assert.deepEqual(inside, { themeName: 'alternate', rule: { index: 0, name: 'winter', type: 'fixed' } });
+    const outside = resolveSchedule(schedule, new Date('2026-06-15T12:00:00Z'), THEMES);
+    assert.deepEqual(outside, { themeName: 'cividis', rule: { index: 1, name: 'rules[1]', type: 'fixed' } });
+});
+
+test('time windows use the rule time zone and may run past midnight', () => {
+    const schedule = { rules: [{ type: 'time-window', start: '22:00', end: '06:00', timezone: 'Europe/London', theme: 'alternate' }] };
+    assert.equal(resolveSchedule(schedule, new Date('2026-01-15T23:30:00Z'), THEMES).themeName, 'alternate');
+    assert.equal(resolveSchedule(schedule, new Date('2026-01-15T05:59:00Z'), THEMES).themeName, 'alternate');
+    // Falls through to the default rule outside the window
+    assert.equal(resolveSchedule(schedule, new Date('2026-01-15T12:00:00Z'), THEMES).rule.name, 'default');
+});
+
+test('weighted picks are the same for every instance within an interval', () => {
+    const schedule = { rules: [{ type: 'weighted', weights: { cividis: 3, alternate: 1 }, interval: 60000 }] };
+    const first = resolveSchedule(schedule, new Date(120000), THEMES).themeName;
+    assert.equal(resolveSchedule(schedule, new Date(179999), THEMES).themeName, first);
+});
+
+test('themes missing from the registry are skipped', () => {
+    const schedule = { rules: [{ type: 'fixed', theme: 'deleted' }, { type: 'fixed', theme: 'alternate' }] };
+    assert.equal(resolveSchedule(schedule, new Date(0), THEMES).themeName, 'alternate');
+});
+
+test('validateSchedule lists every problem', () => {
+    const errors = validateSchedule({
+        rules: [
+            { type: 'fixed', theme: 'missing' },
+            { type: 'round-robin', interval: 10 },
+            { type: 'time-window', start: '25:00', end: '06:00', theme: 'cividis', timezone: 'Mars/Base' },
+            { type: 'nope' }
+        ]
+    }, THEMES);
+    assert.deepEqual(errors.map(error => error.path), [
+        'schedule.rules[0].theme',
+        'schedule.rules[1].interval',
+        'schedule.rules[2].start',
+        'schedule.rules[2].timezone',
+        'schedule.rules[3].type'
+    ]);
+    assert.deepEqual(validateSchedule({}, THEMES), [{ path: 'schedule.rules', message: 'must be an array' }]);
+});
+
+test('the rotation window ends at the next possible change', () => {
+    const schedule = { rules: [{ type: 'round-robin', interval: 10000 }] };
+    assert.equal(getRotationWindow(schedule, new Date(12000), THEMES), 8000);
+    assert.equal(getRotationWindow({ rules: [{ type: 'fixed', theme: 'cividis' }] }, new Date(0), THEMES), null);
+    assert.equal(getPollInterval(schedule), 10000);
+});
+
+test('loadSchedule reads inline JSON and defaults to the round robin', () => {
+    assert.deepEqual(loadSchedule({}), { rules: [DEFAULT_RULE] });
+    assert.deepEqual(loadSchedule({ THEME_SCHEDULE: '{"rules":[{"type":"fixed","theme":"cividis"}]}' }).rules[0].theme, 'cividis');
+});
@@ -0,0 +1,178 @@
+/**
+ * Theme Exporters
+ * Render a registered theme for consumers that do not run the browser engine:
+ * - .css          --theme-* custom properties (with their -rgb channel twins) on :root plus the styling rules
+ * - .scss         $theme-* variables and a $theme-tokens map
+ * - .tokens.json  Design Tokens Community Group format
+ * - .tailwind.js  Tailwind preset with literal colours
+ * Every format carries the derived tokens (muted text, on-* pairs, shadows, gradients) from theme-tokens.js.
+ */
+
+const tokens = require('../theme-tokens');
+
+// [name, value] pairs: palette roles first, then derived tokens; names drop the --theme- prefix
+function themeVariables(colors) {
+    const variables = tokens.ROLES.map(role => [role, colors[role]]);
+    for (const [variable, value] of Object.entries(tokens.deriveTokens(colors))) {
+        variables.push([variable.slice(tokens.VARIABLE_PREFIX.length), value]);
+    }
+    return variables;
+}
+
+function describeExport(id, theme) {
+    return `${theme.name} (${id}), generated by the Cividis Theme API`;
+}
+
+function renderCss(id, theme) {
+    const lines = [`/* ${describeExport(id, theme)} */`, ':root {'];
+    const variables = {};
+    for (const [name, value] of themeVariables(theme.colors)) {
+        variables[`${tokens.VARIABLE_PREFIX}${name}`] = value;
+    }
+    // Channel twins let tailwind-plugin.js utilities (bg-primary/50) work on a page without the engine
+    Object.assign(variables, tokens.channelTokens(variables));
+    for (const [variable, value] of Object.entries(variables)) {
+        lines.push(`    ${variable}: ${value};`);
+    }
+    lines.push('}');
+    for (const [name, rule] of Object.entries(theme.styling_rules || {})) {
+        lines.push('', `/* ${name}${rule.description ? `: ${rule.description}` : ''} */`, `${rule.selector} {`);
+        lines.push(`    background: ${rule.background};`);
+        lines.push(`    color: ${rule.text_color};`);
+        if (rule.border_color) {
+            lines.push(`    border-color: ${rule.border_color};`);
+        }
+        lines.push('}');
+    }
+    return lines.join('\n') + '\n';
+}
+
+function renderScss(id, theme) {
+    const variables = themeVariables(theme.colors);
+    const lines = [`// ${describeExport(id, theme)}`, ''];
+    for (const [name, value] of variables) {
+        lines.push(`$theme-${name}: ${value};`);
+    }
+    lines.push('', '$theme-tokens: (');
+    variables.forEach(([name], index) => {
+        lines.push(`    '${name}': $theme-${name}${index < variables.length - 1 ? ',' : ''}`);
+    });
+    lines.push(');');
+    return lines.join('\n') + '\n';
+}
+
+// DTCG colours are hex strings; alpha goes in an 8-digit hex
+function dtcgColor(color) {
+    const hex = tokens.toHex(color);
+    if (color.a === undefined || color.a >= 1) {
+        return hex;
+    }
+    return hex + Math.round(color.a * 255).toString(16).padStart(2, '0');
+}
+
+// '0 2px 8px' -> DTCG shadow dimensions; missing lengths are 0 as in CSS
+function dtcgShadowGeometry(offsets) {
+    const [offsetX, offsetY, blur, spread] = [...offsets.split(/\s+/), '0', '0', '0', '0']
+        .map(length => (length === '0' ? '0px' : length));
+    return { offsetX, offsetY, blur, spread };
+}
+
+function renderDesignTokens(id, theme) {
+    const parsed = {};
+    for (const role of tokens.ROLES) {
+        parsed[role] = tokens.parseColor(theme.colors[role]);
+    }
+    const color = {};
+    for (const role of tokens.ROLES) {
+        color[role] = { $type: 'color', $value: dtcgColor(parsed[role]) };
+    }
+    const derived = tokens.deriveTokens(theme.colors);
+    const muted = tokens.parseColor(derived[tokens.roleVariable('text-muted')]);
+    if (muted) {
+        color['text-muted'] = { $type: 'color', $value: dtcgColor(muted), $description: 'Text mixed towards the background' };
+    }
+    for (const role of tokens.ROLES) {
+        const on = tokens.parseColor(derived[tokens.roleVariable(`on-${role}`)]);
+        if (on) {
+            color[`on-${role}`] = { $type: 'color', $value: dtcgColor(on), $description: `Text colour that reads best on ${role}` };
+        }
+    }
+
+    const shadow = {};
+    for (const [name, alpha] of Object.entries(tokens.SHADOW_ALPHAS)) {
+        shadow[name === 'shadow' ? 'default' : name.replace('shadow-', '')] = {
+            $type: 'shadow',
+            $value: { color: dtcgColor({ ...parsed.text, a: alpha }), ...dtcgShadowGeometry(tokens.SHADOW_OFFSETS[name]) },
+            $description: `${tokens.SHADOW_OFFSETS[name]}, text at ${alpha * 100}% opacity`
+        };
+    }
+
+    const gradient = {};
+    for (const [name, { angle, stops }] of Object.entries(tokens.GRADIENTS)) {
+        gradient[name] = {
+            $type: 'gradient',
+            $value: stops.map((role, index) => ({
+                color: dtcgColor(parsed[role]),
+                position: Math.round(index / (stops.length - 1) * 1000) / 1000
+            })),
+            $description: `${angle}deg: ${stops.join(', ')}`
+        };
+    }
+
+    return JSON.stringify({
+        $description: describeExport(id, theme),
+        color,
+        shadow,
+        gradient
+    }, null, 2) + '\n';
+}
+
+function renderTailwindPreset(id, theme) {
+    const colors = {};
+    const backgroundImage = {};
+    const boxShadow = {};
+    for (const [name, value] of themeVariables(theme.colors)) {
+        if (name.startsWith('gradient-')) {
+            backgroundImage[name] = value;
+        } else if (name in tokens.SHADOW_OFFSETS) {
+            boxShadow[name.replace('shadow', 'theme')] = `${tokens.SHADOW_OFFSETS[name]} ${value}`;
+        } else {
+            colors[`theme-${name}`] = value;
+        }
+    }
+    const preset = { theme: { extend: { colors, backgroundImage, boxShadow } } };
+    return [
+        `// ${describeExport(id, theme)}`,
+        `// Use it with: presets: [require('./${id}.tailwind.js')]`,
+        `module.exports = ${JSON.stringify(preset, null, 4)};`,
+        ''
+    ].join('\n');
+}
+
+// Keyed by the file suffix requested after the theme id
+const EXPORT_FORMATS = {
+    css: { contentType: 'text/css; charset=utf-8', render: renderCss },
+    scss: { contentType: 'text/x-scss; charset=utf-8', render: renderScss },
+    'tokens.json': { contentType: 'application/json; charset=utf-8', render: renderDesignTokens },
+    'tailwind.js': { contentType: 'application/javascript; charset=utf-8', render: renderTailwindPreset }
+};
+
+// 'cividis.tokens.json' -> { id: 'cividis', format: 'tokens.json' }, or null when no export suffix matches
+function parseExportName(fileName) {
+    for (const format of Object.keys(EXPORT_FORMATS)) {
+        const suffix = `.${format}`;
+        if (fileName.endsWith(suffix) && fileName.length > suffix.length) {
+            return { id: fileName.slice(0, -suffix.length), format };
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    parseExportName,
+    renderCss,
+    renderScss,
+    renderDesignTokens,
+    renderTailwindPreset
+};
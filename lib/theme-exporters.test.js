@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const tokens = require('../theme-tokens');
+const { EXPORT_FORMATS, parseExportName, renderCss, renderScss, renderDesignTokens, renderTailwindPreset } = require('./theme-exporters');
+
+const theme = {
+    name: 'Cividis',
+    colors: {
+        primary: '#00204c',
+        secondary: '#7f7c75',
+        accent: '#bbaf71',
+        success: '#0a376d',
+        warning: '#ffe945',
+        info: '#37476b',
+        background: '#ffffff',
+        surface: '#f8f9fa',
+        text: '#1b1b1b',
+        border: '#e0e0e0'
+    },
+    styling_rules: {
+        warning_text: { selector: '.warning-text', background: '#00204c', text_color: '#ffe945', description: 'Warning text' }
+    }
+};
+
+test('parseExportName splits the id from a known suffix', () => {
+    assert.deepEqual(parseExportName('cividis.css'), { id: 'cividis', format: 'css' });
+    assert.deepEqual(parseExportName('brand-2.tokens.json'), { id: 'brand-2', format: 'tokens.json' });
+    assert.deepEqual(parseExportName('cividis.tailwind.js'), { id: 'cividis', format: 'tailwind.js' });
+    assert.equal(parseExportName('cividis'), null);
+    assert.equal(parseExportName('.css'), null);
+    assert.deepEqual(Object.keys(EXPORT_FORMATS), ['css', 'scss', 'tokens.json', 'tailwind.js']);
+});
+
+test('the CSS export declares every role, derived token and channel twin, then the styling rules', () => {
+    const css = renderCss('cividis', theme);
+    for (const key of tokens.COLOR_KEYS) {
+        assert.match(css, new RegExp(`    ${tokens.roleVariable(key)}: `), key);
+        assert.match(css, new RegExp(`    ${tokens.channelVariable(key)}: \\d+ \\d+ \\d+;`), key);
+    }
+    assert.match(css, /--theme-primary-rgb: 0 32 76;/);
+    assert.match(css, /\.warning-text \{\n    background: #00204c;\n    color: #ffe945;\n\}/);
+});
+
+test('the SCSS export has a variable and a map entry per token', () => {
+    const scss = renderScss('cividis', theme);
+    assert.match(scss, /^\$theme-primary: #00204c;$/m);
+    assert.match(scss, /^    'primary': \$theme-primary,$/m);
+    assert.match(scss, /^\);$/m);
+});
+
+test('the design tokens export is DTCG JSON with alpha in 8-digit hex', () => {
+    const json = JSON.parse(renderDesignTokens('cividis', theme));
+    assert.deepEqual(json.color.primary, { $type: 'color', $value: '#00204c' });
+    assert.equal(json.color['on-primary'].$value, '#ffffff');
+    assert.equal(json.color['on-warning'].$value, '#1b1b1b');
+    for (const role of tokens.ROLES) {
+        assert.equal(json.color[`on-${role}`].$type, 'color', role);
+    }
+    assert.deepEqual(json.shadow.default, {
+        $type: 'shadow',
+        $value: { color: '#1b1b1b1a', offsetX: '0px', offsetY: '2px', blur: '8px', spread: '0px' },
+        $description: '0 2px 8px, text at 10% opacity'
+    });
+    assert.equal(json.shadow.xl.$value.offsetY, '6px');
+    assert.deepEqual(Object.keys(json.gradient), Object.keys(tokens.GRADIENTS));
+    assert.deepEqual(json.gradient.cool.$value.map(stop => stop.position), [0, 0.333, 0.667, 1]);
+    assert.equal(json.gradient.full.$description, '135deg: warning, accent, info, success, primary');
+});
+
+test('the Tailwind preset is a module exporting literal colours', () => {
+    const source = renderTailwindPreset('cividis', theme);
+    const module = { exports: {} };
+    new Function('module', source)(module);
+    const { colors, backgroundImage, boxShadow } = module.exports.theme.extend;
+    assert.equal(colors['theme-primary'], '#00204c');
+    assert.ok(colors['theme-on-primary']);
+    assert.ok(backgroundImage['gradient-cool']);
+    assert.match(boxShadow['theme-lg'], /^0 \d+px/);
+});
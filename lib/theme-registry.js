@@ -0,0 +1,55 @@
+/**
+ * Built-in Palettes
+ * The palettes the API ships with, as plain data: no stores, schedule or server are loaded with them.
+ * api-server.js registers them (adding the computed styling rules); scripts/lint-colours.js compares against them.
+ */
+
+// Cividis color palettes
+const BUILT_IN_PALETTES = {
+    cividis: {
+        name: "Cividis",
+        colors: {
+            primary: "#00204c",
+            secondary: "#7f7c75",
+            accent: "#bbaf71",
+            success: "#0a376d",
+            warning: "#ffe945",
+            info: "#37476b",
+            background: "#ffffff",
+            surface: "#f8f9fa",
+            text: "#1b1b1b",
+            border: "#e0e0e0"
+        }
+    },
+    alternate: {
+        name: "Alternate Cividis",
+        colors: {
+            primary: "#7A6B13",
+            secondary: "#A48B0D",
+            accent: "#CFAB0B",
+            success: "#4762a7", // fixed from #4762a7ff
+            warning: "#FEEA8B",
+            info: "#FCEEB6",
+            background: "#ffffff",
+            surface: "#f8f9fa",
+            text: "#333333",
+            border: "#e0e0e0"
+        }
+    }
+};
+
+// Traditional (non-Cividis) palette served when a client toggles Cividis off
+const TRADITIONAL_COLORS = {
+    primary: '#dc2626',
+    secondary: '#9333ea',
+    accent: '#059669',
+    success: '#16a34a',
+    warning: '#ea580c',
+    info: '#0ea5e9',
+    background: '#ffffff',
+    surface: '#f8f9fa',
+    text: '#1b1b1b',
+    border: '#e0e0e0'
+};
+
+module.exports = { BUILT_IN_PALETTES, TRADITIONAL_COLORS };
@@ -0,0 +1,29 @@
+/**
+ * Theme Store
+ * Persists themes created through the API in a JSON file so they survive restarts.
+ * File format: { "themes": { "<id>": { "name": "...", "colors": { ... } } } }
+ */
+
+const path = require('path');
+const { readJsonFile, writeJsonFile } = require('./json-file');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'data', 'themes.json');
+
+function createThemeStore(filePath = process.env.THEMES_FILE || DEFAULT_FILE) {
+    // Returns {} when the file does not exist yet
+    function load() {
+        const data = readJsonFile(filePath, { themes: {} });
+        if (!data || typeof data.themes !== 'object' || Array.isArray(data.themes)) {
+            throw new Error(`${filePath} must contain a "themes" object`);
+        }
+        return data.themes;
+    }
+
+    function save(themes) {
+        writeJsonFile(filePath, { themes });
+    }
+
+    return { filePath, load, save };
+}
+
+module.exports = { createThemeStore };
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createThemeStore } = require('./theme-store');
+
+function tempDirectory(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cividis-themes-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return directory;
+}
+
+test('a missing file loads as no themes', (t) => {
+    const store = createThemeStore(path.join(tempDirectory(t), 'themes.json'));
+    assert.deepEqual(store.load(), {});
+});
+
+test('saved themes load back, and the folder is created on the first save', (t) => {
+    const filePath = path.join(tempDirectory(t), 'nested', 'themes.json');
+    const store = createThemeStore(filePath);
+    const themes = { brand: { name: 'Brand', colors: { primary: '#112233' } } };
+    store.save(themes);
+    assert.deepEqual(createThemeStore(filePath).load(), themes);
+    // Written through a temporary file that is renamed into place
+    assert.deepEqual(fs.readdirSync(path.dirname(filePath)), ['themes.json']);
+});
+
+test('a file without a themes object is an error', (t) => {
+    const filePath = path.join(tempDirectory(t), 'themes.json');
+    fs.writeFileSync(filePath, '{"themes": []}');
+    assert.throws(() => createThemeStore(filePath).load(), /must contain a "themes" object/);
+});
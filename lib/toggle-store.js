@@ -0,0 +1,157 @@
+/**
+ * Toggle State Store
+ * Remembers each client's Cividis toggle ('cividis' or 'traditional') for a limited time.
+ *
+ * Every backend implements the same async interface, so a shared store (Redis, a database)
+ * can replace these for serverless deployments with several instances:
+ *   get(clientId)        -> 'cividis' | 'traditional' | null
+ *   set(clientId, state) -> state
+ *   delete(clientId)
+ *
+ * Entries expire `ttl` milliseconds after they were last set (0 keeps them forever).
+ * Client ids are used as keys as given; the API only passes ids matching /^[\w-]{1,64}$/.
+ */
+
+const path = require('path');
+const { readJsonFile, writeJsonFile } = require('./json-file');
+
+const TOGGLE_STATES = ['cividis', 'traditional'];
+const DEFAULT_TTL = 30 * 24 * 60 * 60 * 1000;
+// Most clients the memory store holds; past that the least recently set entry is dropped
+const DEFAULT_MAX_ENTRIES = 10000;
+const DEFAULT_FILE = path.join(__dirname, '..', 'data', 'toggle-states.json');
+
+function expiresAt(ttl) {
+    return ttl > 0 ? Date.now() + ttl : null;
+}
+
+function isExpired(entry) {
+    return entry.expires !== null && entry.expires <= Date.now();
+}
+
+function assertState(state) {
+    if (!TOGGLE_STATES.includes(state)) {
+        throw new Error(`Toggle state must be one of ${TOGGLE_STATES.join(', ')}`);
+    }
+}
+
+function createMemoryToggleStore({ ttl = DEFAULT_TTL, maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    // Insertion order doubles as set order: set() re-inserts, so the first key is the least recently set
+    const entries = new Map();
+
+    function removeExpired() {
+        for (const [clientId, entry] of entries) {
+            if (isExpired(entry)) {
+                entries.delete(clientId);
+            }
+        }
+    }
+
+    // Drop expired entries now and then so the map does not grow forever
+    const sweep = setInterval(removeExpired, Math.min(ttl || 60 * 60 * 1000, 60 * 60 * 1000));
+    sweep.unref();
+
+    return {
+        type: 'memory',
+        async get(clientId) {
+            const entry = entries.get(clientId);
+            if (!entry) {
+                return null;
+            }
+            if (isExpired(entry)) {
+                entries.delete(clientId);
+                return null;
+            }
+            return entry.state;
+        },
+        async set(clientId, state) {
+            assertState(state);
+            entries.delete(clientId);
+            if (entries.size >= maxEntries) {
+                removeExpired();
+            }
+            while (entries.size >= maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+            entries.set(clientId, { state, expires: expiresAt(ttl) });
+            return state;
+        },
+        async delete(clientId) {
+            entries.delete(clientId);
+        }
+    };
+}
+
+// File format: { "clients": { "<clientId>": { "state": "cividis", "expires": 1760000000000 } } }
+function createFileToggleStore({ ttl = DEFAULT_TTL, filePath = DEFAULT_FILE } = {}) {
+    // Read on every call, so a write made through another store on the same file shows up on the next read.
+    // Writes are a plain read-modify-write without locking: concurrent writers can lose each other's updates.
+    // Entries are copied onto a prototype-less object so ids like "__proto__" or "constructor" stay plain keys.
+    function load() {
+        const data = readJsonFile(filePath, { clients: {} });
+        const clients = Object.create(null);
+        if (data && data.clients && typeof data.clients === 'object') {
+            for (const [clientId, entry] of Object.entries(data.clients)) {
+                clients[clientId] = entry;
+            }
+        }
+        return clients;
+    }
+
+    function save(clients) {
+        for (const [clientId, entry] of Object.entries(clients)) {
+            if (isExpired(entry)) {
+                delete clients[clientId];
+            }
+        }
+        writeJsonFile(filePath, { clients });
+    }
+
+    return {
+        type: 'file',
+        filePath,
+        async get(clientId) {
+            const entry = load()[clientId];
+            return entry && !isExpired(entry) ? entry.state : null;
+        },
+        async set(clientId, state) {
+            assertState(state);
+            const clients = load();
+            clients[clientId] = { state, expires: expiresAt(ttl) };
+            save(clients);
+            return state;
+        },
+        async delete(clientId) {
+            const clients = load();
+            delete clients[clientId];
+            save(clients);
+        }
+    };
+}
+
+// Backend from the environment: TOGGLE_STORE=memory|file, TOGGLE_TTL (seconds), TOGGLE_MAX_CLIENTS (memory), TOGGLE_STATE_FILE
+function createToggleStore(env = process.env) {
+    const ttl = env.TOGGLE_TTL !== undefined ? Number(env.TOGGLE_TTL) * 1000 : DEFAULT_TTL;
+    if (!Number.isFinite(ttl) || ttl < 0) {
+        throw new Error(`TOGGLE_TTL must be a number of seconds (got ${JSON.stringify(env.TOGGLE_TTL)})`);
+    }
+    const maxEntries = env.TOGGLE_MAX_CLIENTS !== undefined ? Number(env.TOGGLE_MAX_CLIENTS) : DEFAULT_MAX_ENTRIES;
+    if (!Number.isInteger(maxEntries) || maxEntries < 1) {
+        throw new Error(`TOGGLE_MAX_CLIENTS must be a positive whole number (got ${JSON.stringify(env.TOGGLE_MAX_CLIENTS)})`);
+    }
+    const type = env.TOGGLE_STORE || 'memory';
+    if (type === 'memory') {
+        return createMemoryToggleStore({ ttl, maxEntries });
+    }
+    if (type === 'file') {
+        return createFileToggleStore({ ttl, filePath: env.TOGGLE_STATE_FILE || DEFAULT_FILE });
+    }
+    throw new Error(`Unknown TOGGLE_STORE "${type}". Expected memory or file`);
+}
+
+module.exports = {
+    TOGGLE_STATES,
+    createMemoryToggleStore,
+    createFileToggleStore,
+    createToggleStore
+};
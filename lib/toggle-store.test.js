@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMemoryToggleStore, createFileToggleStore, createToggleStore } = require('./toggle-store');
+
+function tempFile(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cividis-toggle-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return path.join(directory, 'toggle-states.json');
+}
+
+for (const [type, create] of [
+    ['memory', (t, options) => createMemoryToggleStore(options)],
+    ['file', (t, options) => createFileToggleStore({ ...options, filePath: tempFile(t) })]
+]) {
+    test(`${type} store keeps, replaces and deletes states`, async (t) => {
+        const store = create(t, {});
+        assert.equal(await store.get('a'), null);
+        await store.set('a', 'cividis');
+        await store.set('b', 'traditional');
+        assert.equal(await store.get('a'), 'cividis');
+        await store.set('a', 'traditional');
+        assert.equal(await store.get('a'), 'traditional');
+        await store.delete('a');
+        assert.equal(await store.get('a'), null);
+        assert.equal(await store.get('b'), 'traditional');
+    });
+
+    test(`${type} store rejects unknown states and forgets expired ones`, async (t) => {
+        const store = create(t, { ttl: 20 });
+        await assert.rejects(store.set('a', 'purple'), /Toggle state must be one of/);
+        await store.set('a', 'cividis');
+        await new Promise(resolve => setTimeout(resolve, 40));
+        assert.equal(await store.get('a'), null);
+    });
+
+    test(`${type} store keeps Object.prototype names as plain ids`, async (t) => {
+        const store = create(t, {});
+        for (const clientId of ['__proto__', 'constructor', 'hasOwnProperty']) {
+            assert.equal(await store.get(clientId), null, clientId);
+            await store.set(clientId, 'cividis');
+            assert.equal(await store.get(clientId), 'cividis', clientId);
+        }
+        await store.delete('__proto__');
+        assert.equal(await store.get('__proto__'), null);
+        assert.equal(await store.get('constructor'), 'cividis');
+    });
+}
+
+test('memory store drops the least recently set client when full', async () => {
+    const store = createMemoryToggleStore({ maxEntries: 2 });
+    await store.set('a', 'cividis');
+    await store.set('b', 'cividis');
+    await store.set('a', 'traditional');
+    await store.set('c', 'cividis');
+    assert.equal(await store.get('b'), null);
+    assert.equal(await store.get('a'), 'traditional');
+    assert.equal(await store.get('c'), 'cividis');
+});
+
+test('a file store reads writes made through another store on the same file', async (t) => {
+    const filePath = tempFile(t);
+    const first = createFileToggleStore({ filePath });
+    const second = createFileToggleStore({ filePath });
+    await first.set('a', 'cividis');
+    assert.equal(await second.get('a'), 'cividis');
+});
+
+test('createToggleStore picks the backend from the environment', () => {
+    assert.equal(createToggleStore({}).type, 'memory');
+    assert.equal(createToggleStore({ TOGGLE_STORE: 'file', TOGGLE_STATE_FILE: path.join(os.tmpdir(), 'unused.json') }).type, 'file');
+    assert.throws(() => createToggleStore({ TOGGLE_STORE: 'redis' }), /Unknown TOGGLE_STORE/);
+    assert.throws(() => createToggleStore({ TOGGLE_TTL: 'soon' }), /TOGGLE_TTL must be a number/);
+    assert.throws(() => createToggleStore({ TOGGLE_MAX_CLIENTS: '0' }), /TOGGLE_MAX_CLIENTS must be a positive whole number/);
+});
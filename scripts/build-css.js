@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+/**
+ * Stylesheet Tokens
+ * Writes the derived variables for the default palette into cividis-theme.css, so pages that use the
+ * stylesheet without the engine (Tailwind utilities from tailwind-plugin.js, text-on-primary, ...) still resolve:
+ *
+ *   --theme-<key>-rgb   channel variables for every colour key (bg-primary/50)
+ *   --theme-on-<role>   the text colour that reads best on each role
+ *
+ * They are computed with theme-tokens.js from the colours the stylesheet's own :root declares, and kept in a
+ * second :root rule between marker comments; running the script again replaces that rule.
+ *
+ *   node scripts/build-css.js [--check]   (--check exits with 1 when the stylesheet is out of date)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const tokens = require('../theme-tokens');
+
+const STYLESHEET = path.join(__dirname, '..', 'cividis-theme.css');
+const START_MARKER = '/* derived tokens: generated by scripts/build-css.js */';
+const END_MARKER = '/* end derived tokens */';
+// Declared colours the derived ones are computed from: the roles plus the stylesheet's own muted text
+const SOURCE_KEYS = [...tokens.ROLES, 'text-muted'];
+
+// { primary: '#00204c', ..., 'text-muted': '#353a45' } from the first :root rule
+function readPalette(css) {
+    const root = css.match(/:root\s*\{([^}]*)\}/);
+    if (!root) {
+        throw new Error('cividis-theme.css has no :root rule');
+    }
+    const palette = {};
+    for (const [, name, value] of root[1].matchAll(/--theme-([\w-]+)\s*:\s*([^;]+)/g)) {
+        if (SOURCE_KEYS.includes(name)) {
+            palette[name] = value.trim();
+        }
+    }
+    const missing = tokens.ROLES.filter(role => !tokens.parseColor(palette[role] || ''));
+    if (missing.length) {
+        throw new Error(`cividis-theme.css :root lacks a colour for ${missing.join(', ')}`);
+    }
+    return palette;
+}
+
+// The generated rule, minified like the rest of the stylesheet
+function renderDerivedRule(palette) {
+    const variables = tokens.paletteToVariables(palette);
+    const declarations = [];
+    for (const role of tokens.ROLES) {
+        const name = tokens.roleVariable(`on-${role}`);
+        declarations.push(`${name}:${variables[name]}`);
+    }
+    for (const key of tokens.COLOR_KEYS) {
+        const name = tokens.channelVariable(key);
+        declarations.push(`${name}:${variables[name]}`);
+    }
+    return `${START_MARKER}:root{${declarations.join(';')}}${END_MARKER}`;
+}
+
+// Stylesheet with the generated rule replaced, or inserted right after the first :root rule
+function updateStylesheet(css) {
+    const rule = renderDerivedRule(readPalette(css));
+    const start = css.indexOf(START_MARKER);
+    if (start !== -1) {
+        const end = css.indexOf(END_MARKER, start);
+        if (end === -1) {
+            throw new Error(`cividis-theme.css has "${START_MARKER}" without "${END_MARKER}"`);
+        }
+        return css.slice(0, start) + rule + css.slice(end + END_MARKER.length);
+    }
+    const rootEnd = css.indexOf('}', css.search(/:root\s*\{/)) + 1;
+    return css.slice(0, rootEnd) + rule + css.slice(rootEnd);
+}
+
+function main() {
+    const css = fs.readFileSync(STYLESHEET, 'utf8');
+    const updated = updateStylesheet(css);
+    if (process.argv.includes('--check')) {
+        if (updated !== css) {
+            console.log('❌ cividis-theme.css is out of date. Run npm run build:css.');
+            process.exitCode = 1;
+        }
+        return;
+    }
+    if (updated === css) {
+        console.log('✅ cividis-theme.css is up to date');
+        return;
+    }
+    fs.writeFileSync(STYLESHEET, updated);
+    console.log('🎨 Wrote the derived tokens to cividis-theme.css');
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { readPalette, renderDerivedRule, updateStylesheet };
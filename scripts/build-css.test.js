@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const tokens = require('../theme-tokens');
+const { readPalette, renderDerivedRule, updateStylesheet } = require('./build-css');
+
+const css = fs.readFileSync(path.join(__dirname, '..', 'cividis-theme.css'), 'utf8');
+
+test('cividis-theme.css carries up-to-date derived tokens', () => {
+    assert.equal(updateStylesheet(css), css, 'run npm run build:css');
+});
+
+test('the stylesheet declares a channel variable per colour key and an on-* colour per role', () => {
+    const rule = renderDerivedRule(readPalette(css));
+    for (const key of tokens.COLOR_KEYS) {
+        assert.match(rule, new RegExp(`${tokens.channelVariable(key)}:\\d+ \\d+ \\d+[;}]`), key);
+    }
+    for (const role of tokens.ROLES) {
+        assert.match(rule, new RegExp(`${tokens.roleVariable(`on-${role}`)}:#[0-9a-f]{6}[;}]`), role);
+    }
+    assert.match(rule, /--theme-primary-rgb:0 32 76;/);
+    assert.match(rule, /--theme-text-muted-rgb:53 58 69;/);
+});
+
+test('regenerating replaces the rule instead of adding another', () => {
+    const edited = css.replace('--theme-primary:#00204c', '--theme-primary:#123456');
+    const updated = updateStylesheet(edited);
+    assert.equal(updated.split('derived tokens: generated').length, 2);
+    assert.match(updated, /--theme-primary-rgb:18 52 86;/);
+    assert.equal(updateStylesheet(updated), updated);
+});
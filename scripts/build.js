@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+/**
+ * Build
+ * Bundles the engine with theme-tokens.js and theme-schema.js into single-file builds in dist/:
+ *
+ *   dist/cividis-theme.mjs      import CividisTheme from 'cividis-theme'
+ *   dist/cividis-theme.umd.js   require(), AMD, or a <script> tag (window.CividisTheme plus the automatic instance)
+ *
+ * Each source file runs in its own scope with a local module/require, so the files stay exactly as they are
+ * served in the browser and no bundler is needed. Only the <script> tag path starts the automatic instance.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { version } = require('../package.json');
+
+const ROOT = path.join(__dirname, '..');
+const OUT_DIR = path.join(ROOT, 'dist');
+
+// Bundled in dependency order; the key is the path the other sources require
+const SOURCES = [
+    { id: './theme-tokens', file: 'theme-tokens.js' },
+    { id: './theme-schema', file: 'theme-schema.js' },
+    { id: './cividis-theme', file: 'cividis-theme.js' }
+];
+
+// Module table plus the engine class, as the body of a function
+function bundleBody() {
+    const modules = SOURCES.map(({ id, file }) => {
+        // Not re-indented: that would change multi-line template strings
+        const source = fs.readFileSync(path.join(ROOT, file), 'utf8').trimEnd();
+        return `    // ${file}
+    cividisModules[${JSON.stringify(id)}] = (function (require) {
+        const module = { exports: {} };
+${source}
+        return module.exports;
+    })(cividisRequire);`;
+    });
+    return `    const cividisModules = {};
+    const cividisRequire = (id) => {
+        if (!(id in cividisModules)) {
+            throw new Error(\`Cividis build: unknown module "\${id}"\`);
+        }
+        return cividisModules[id];
+    };
+
+${modules.join('\n\n')}
+
+    return cividisModules['./cividis-theme'];`;
+}
+
+function banner(format) {
+    return `/*! Cividis Theme Engine v${version} (${format} build) | MIT | generated by scripts/build.js from cividis-theme.js, theme-tokens.js and theme-schema.js */`;
+}
+
+function buildEsm(body) {
+    return `${banner('ES module')}
+const CividisTheme = (function () {
+${body}
+})();
+
+export { CividisTheme };
+export default CividisTheme;
+`;
+}
+
+function buildUmd(body) {
+    return `${banner('UMD')}
+(function (root, factory) {
+    if (typeof define === 'function' && define.amd) {
+        define([], factory);
+    } else if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else if (!root.CividisTheme) {
+        // Same as the plain <script> tag: data-* attributes on this tag configure the automatic instance
+        root.CividisTheme = factory();
+        root.CividisTheme.autoInit(typeof document !== 'undefined' ? document.currentScript : null);
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+${body}
+});
+`;
+}
+
+function main() {
+    const body = bundleBody();
+    fs.mkdirSync(OUT_DIR, { recursive: true });
+    const outputs = {
+        'cividis-theme.mjs': buildEsm(body),
+        'cividis-theme.umd.js': buildUmd(body)
+    };
+    for (const [file, contents] of Object.entries(outputs)) {
+        fs.writeFileSync(path.join(OUT_DIR, file), contents);
+        console.log(`📦 dist/${file} (${(Buffer.byteLength(contents) / 1024).toFixed(1)} KB)`);
+    }
+}
+
+main();
@@ -0,0 +1,456 @@
+#!/usr/bin/env node
+/**
+ * Colour Linter
+ * Finds hardcoded colours in HTML, CSS and JS and suggests the nearest --theme-* role of a palette.
+ *
+ *   node scripts/lint-colours.js [paths...] [--theme <id>] [--fix]
+ *
+ * - Only style contexts are read: .css/.scss files, <style> elements and style="" attributes in HTML,
+ *   and style writes in scripts (el.style.x = ..., style.setProperty(), Object.assign(el.style, {...}))
+ * - Hex (#rgb, #rgba, #rrggbb, #rrggbbaa), rgb()/rgba(), hsl()/hsla() and oklch() values there,
+ *   and named colours (red, white, ...) in colour properties
+ * - The nearest role is measured in OKLab against a built-in palette (lib/theme-registry.js, default: cividis)
+ *   or a theme created through the API
+ * - Palette sources (the registry, theme-tokens.js, ...) and tests (*.test.js, whose fixtures are hardcoded
+ *   on purpose) are skipped when a folder is walked
+ * - --fix rewrites each literal to var(--theme-<role>); translucent ones become a color-mix() with transparent,
+ *   and a fallback inside var(--theme-*, ...) is dropped
+ *
+ * --theme-* definitions are not reported. Silence the rest with a comment containing
+ * colour-lint-disable-line, colour-lint-disable-next-line, or a colour-lint-disable ... colour-lint-enable block.
+ * Exits with 1 while hardcoded colours remain, 2 on a usage error.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const tokens = require('../theme-tokens');
+const { BUILT_IN_PALETTES } = require('../lib/theme-registry');
+const { createThemeStore } = require('../lib/theme-store');
+
+const EXTENSIONS = ['.html', '.htm', '.css', '.scss', '.js', '.mjs', '.cjs'];
+const STYLESHEET_EXTENSIONS = ['.css', '.scss'];
+const HTML_EXTENSIONS = ['.html', '.htm'];
+const SKIPPED_DIRECTORIES = ['node_modules', 'dist', 'build', 'data'];
+// Palette sources: their colours are data, not styles. Found by a folder walk they are skipped; name one to lint it
+const PALETTE_FILES = [
+    'api-server.js',
+    'theme-tokens.js',
+    'lib/theme-registry.js',
+    'lib/palette-generator.js',
+    'lib/dark-mode.js',
+    'scripts/lint-colours.js'
+].map(file => path.join(__dirname, '..', file));
+// Tests hold colour fixtures for the linter and the engine; like palette sources, name one to lint it
+const TEST_FILE = /\.test\.[cm]?js$/;
+
+// CSS named colours (CSS Color Module Level 4)
+const NAMED_COLOURS = {
+    aliceblue: '#f0f8ff', antiquewhite: '#faebd7', aqua: '#00ffff', aquamarine: '#7fffd4', azure: '#f0ffff',
+    beige: '#f5f5dc', bisque: '#ffe4c4', black: '#000000', blanchedalmond: '#ffebcd', blue: '#0000ff',
+    blueviolet: '#8a2be2', brown: '#a52a2a', burlywood: '#deb887', cadetblue: '#5f9ea0', chartreuse: '#7fff00',
+    chocolate: '#d2691e', coral: '#ff7f50', cornflowerblue: '#6495ed', cornsilk: '#fff8dc', crimson: '#dc143c',
+    cyan: '#00ffff', darkblue: '#00008b', darkcyan: '#008b8b', darkgoldenrod: '#b8860b', darkgray: '#a9a9a9',
+    darkgreen: '#006400', darkgrey: '#a9a9a9', darkkhaki: '#bdb76b', darkmagenta: '#8b008b',
+    darkolivegreen: '#556b2f', darkorange: '#ff8c00', darkorchid: '#9932cc', darkred: '#8b0000',
+    darksalmon: '#e9967a', darkseagreen: '#8fbc8f', darkslateblue: '#483d8b', darkslategray: '#2f4f4f',
+    darkslategrey: '#2f4f4f', darkturquoise: '#00ced1', darkviolet: '#9400d3', deeppink: '#ff1493',
+    deepskyblue: '#00bfff', dimgray: '#696969', dimgrey: '#696969', dodgerblue: '#1e90ff', firebrick: '#b22222',
+    floralwhite: '#fffaf0', forestgreen: '#228b22', fuchsia: '#ff00ff', gainsboro: '#dcdcdc', ghostwhite: '#f8f8ff',
+    gold: '#ffd700', goldenrod: '#daa520', gray: '#808080', grey: '#808080', green: '#008000',
+    greenyellow: '#adff2f', honeydew: '#f0fff0', hotpink: '#ff69b4', indianred: '#cd5c5c', indigo: '#4b0082',
+    ivory: '#fffff0', khaki: '#f0e68c', lavender: '#e6e6fa', lavenderblush: '#fff0f5', lawngreen: '#7cfc00',
+    lemonchiffon: '#fffacd', lightblue: '#add8e6', lightcoral: '#f08080', lightcyan: '#e0ffff',
+    lightgoldenrodyellow: '#fafad2', lightgray: '#d3d3d3', lightgreen: '#90ee90', lightgrey: '#d3d3d3',
+    lightpink: '#ffb6c1', lightsalmon: '#ffa07a', lightseagreen: '#20b2aa', lightskyblue: '#87cefa',
+    lightslategray: '#778899', lightslategrey: '#778899', lightsteelblue: '#b0c4de', lightyellow: '#ffffe0',
+    lime: '#00ff00', limegreen: '#32cd32', linen: '#faf0e6', magenta: '#ff00ff', maroon: '#800000',
+    mediumaquamarine: '#66cdaa', mediumblue: '#0000cd', mediumorchid: '#ba55d3', mediumpurple: '#9370db',
+    mediumseagreen: '#3cb371', mediumslateblue: '#7b68ee', mediumspringgreen: '#00fa9a',
+    mediumturquoise: '#48d1cc', mediumvioletred: '#c71585', midnightblue: '#191970', mintcream: '#f5fffa',
+    mistyrose: '#ffe4e1', moccasin: '#ffe4b5', navajowhite: '#ffdead', navy: '#000080', oldlace: '#fdf5e6',
+    olive: '#808000', olivedrab: '#6b8e23', orange: '#ffa500', orangered: '#ff4500', orchid: '#da70d6',
+    palegoldenrod: '#eee8aa', palegreen: '#98fb98', paleturquoise: '#afeeee', palevioletred: '#db7093',
+    papayawhip: '#ffefd5', peachpuff: '#ffdab9', peru: '#cd853f', pink: '#ffc0cb', plum: '#dda0dd',
+    powderblue: '#b0e0e6', purple: '#800080', rebeccapurple: '#663399', red: '#ff0000', rosybrown: '#bc8f8f',
+    royalblue: '#4169e1', saddlebrown: '#8b4513', salmon: '#fa8072', sandybrown: '#f4a460', seagreen: '#2e8b57',
+    seashell: '#fff5ee', sienna: '#a0522d', silver: '#c0c0c0', skyblue: '#87ceeb', slateblue: '#6a5acd',
+    slategray: '#708090', slategrey: '#708090', snow: '#fffafa', springgreen: '#00ff7f', steelblue: '#4682b4',
+    tan: '#d2b48c', teal: '#008080', thistle: '#d8bfd8', tomato: '#ff6347', turquoise: '#40e0d0',
+    violet: '#ee82ee', wheat: '#f5deb3', white: '#ffffff', whitesmoke: '#f5f5f5', yellow: '#ffff00',
+    yellowgreen: '#9acd32'
+};
+
+const HEX_PATTERN = /#(?:[0-9a-f]{8}|[0-9a-f]{6}|[0-9a-f]{3,4})(?![\w-])/gi;
+const FUNCTION_PATTERN = /(?<![\w-])(?:rgba?|hsla?|oklch)\([^()]*\)/gi;
+const NAMED_PATTERN = new RegExp(`(?<![\\w-])(?:${Object.keys(NAMED_COLOURS).join('|')})(?![\\w-])`, 'gi');
+// Declarations that take colours, in CSS
+const CSS_DECLARATION = /(?<![\w-])(?:color|background(?:-color)?|border(?:-(?:top|right|bottom|left))?(?:-color)?|outline(?:-color)?|fill|stroke|box-shadow|text-shadow|caret-color|accent-color|column-rule(?:-color)?|text-decoration(?:-color)?)\s*:\s*([^;{}"'<>]+)/gi;
+// Style properties (kebab or camelCase) whose values may be a colour name
+const COLOUR_PROPERTY = /color|background|border|outline|fill|stroke|shadow|column-?rule|text-?decoration/i;
+
+// Where styles live in a file; scripts only count where they write styles
+const STYLE_ELEMENT = /(<style\b[^>]*>)([\s\S]*?)<\/style>/gi;
+const STYLE_ATTRIBUTE = /(\sstyle\s*=\s*)(["'])([\s\S]*?)\2/gi;
+const SCRIPT_ELEMENT = /(<script\b(?![^>]*\ssrc\s*=)[^>]*>)([\s\S]*?)<\/script>/gi;
+// el.style.color = '...', el.style.cssText = '...'
+const STYLE_PROPERTY_ASSIGNMENT = /\.style\.([A-Za-z]+)\s*\+?=\s*(['"`])((?:\\.|(?!\2)[^\\\n])*)\2/g;
+// el.style.setProperty('border-color', '...')
+const SET_PROPERTY = /\.setProperty\(\s*(['"`])([\w-]+)\1\s*,\s*(['"`])((?:\\.|(?!\3)[^\\\n])*)\3/g;
+// Object.assign(el.style, { color: '...', 'border-color': '...' })
+const STYLE_OBJECT = /Object\.assign\(\s*[\w$.[\]'"]*\.style\s*,\s*\{/g;
+const OBJECT_ENTRY = /(?<![\w$])(?:([A-Za-z]+)|(['"])([\w-]+)\2)\s*:\s*(['"`])((?:\\.|(?!\4)[^\\\n])*)\4/g;
+
+// Built-in palettes plus the themes created through the API (THEMES_FILE, see lib/theme-store.js)
+function loadThemes() {
+    const themes = { ...BUILT_IN_PALETTES };
+    let stored = {};
+    try {
+        stored = createThemeStore().load();
+    } catch (error) {
+        console.error(`⚠️  Custom themes skipped: ${error.message}`);
+    }
+    for (const [id, theme] of Object.entries(stored)) {
+        const colors = theme && theme.colors;
+        if (!(id in themes) && colors && tokens.ROLES.every(role => tokens.parseColor(colors[role]))) {
+            themes[id] = theme;
+        }
+    }
+    return themes;
+}
+
+function printUsage(themes) {
+    console.log('Usage: node scripts/lint-colours.js [paths...] [--theme <id>] [--fix]');
+    console.log(`Themes: ${Object.keys(themes).join(', ')}`);
+}
+
+function parseArgs(argv) {
+    const options = { paths: [], theme: 'cividis', fix: false, help: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--fix') {
+            options.fix = true;
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (arg === '--theme') {
+            options.theme = argv[++i];
+        } else if (arg.startsWith('--theme=')) {
+            options.theme = arg.slice('--theme='.length);
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            options.paths.push(arg);
+        }
+    }
+    if (!options.paths.length) {
+        options.paths.push('.');
+    }
+    return options;
+}
+
+function collectFiles(target, files = []) {
+    const stats = fs.statSync(target);
+    if (stats.isFile()) {
+        files.push(target);
+        return files;
+    }
+    for (const entry of fs.readdirSync(target, { withFileTypes: true })) {
+        if (entry.name.startsWith('.') || SKIPPED_DIRECTORIES.includes(entry.name)) {
+            continue;
+        }
+        const entryPath = path.join(target, entry.name);
+        if (entry.isDirectory()) {
+            collectFiles(entryPath, files);
+        } else if (EXTENSIONS.includes(path.extname(entry.name).toLowerCase()) &&
+            !TEST_FILE.test(entry.name) && !PALETTE_FILES.includes(path.resolve(entryPath))) {
+            files.push(entryPath);
+        }
+    }
+    return files;
+}
+
+// Line numbers (1-based) that disable comments switch off
+function disabledLines(lines) {
+    const disabled = new Set();
+    let inBlock = false;
+    lines.forEach((line, index) => {
+        if (line.includes('colour-lint-enable')) {
+            inBlock = false;
+        } else if (line.includes('colour-lint-disable-next-line')) {
+            disabled.add(index + 2);
+        } else if (line.includes('colour-lint-disable-line')) {
+            disabled.add(index + 1);
+        } else if (line.includes('colour-lint-disable')) {
+            inBlock = true;
+        }
+        if (inBlock) {
+            disabled.add(index + 1);
+        }
+    });
+    return disabled;
+}
+
+// A #abc in `#abc {` or `#abc, .x {` is an id selector, not a colour
+function isSelector(text, end) {
+    const rest = text.slice(end, end + 200);
+    const next = rest.search(/[{;}]/);
+    return next !== -1 && rest[next] === '{';
+}
+
+// Index of the brace closing the one just before `start`, or the end of the text
+function closingBrace(text, start) {
+    let depth = 1;
+    for (let i = start; i < text.length; i++) {
+        if (text[i] === '{') {
+            depth++;
+        } else if (text[i] === '}' && --depth === 0) {
+            return i;
+        }
+    }
+    return text.length;
+}
+
+// Style writes in script source: [{ start, end, kind, property }], offsets relative to `offset`
+function scriptRegions(text, offset = 0) {
+    const regions = [];
+    const value = (match, valueText, property) => {
+        const start = offset + match.index + match[0].length - valueText.length - 1;
+        return { start, end: start + valueText.length, kind: property === 'cssText' ? 'declarations' : 'value', property };
+    };
+    for (const match of text.matchAll(STYLE_PROPERTY_ASSIGNMENT)) {
+        regions.push(value(match, match[3], match[1]));
+    }
+    for (const match of text.matchAll(SET_PROPERTY)) {
+        // --theme-* definitions are where the palette lives
+        if (!match[2].startsWith('--theme-')) {
+            regions.push(value(match, match[4], match[2]));
+        }
+    }
+    for (const object of text.matchAll(STYLE_OBJECT)) {
+        const bodyStart = object.index + object[0].length;
+        const body = text.slice(bodyStart, closingBrace(text, bodyStart));
+        for (const match of body.matchAll(OBJECT_ENTRY)) {
+            regions.push(value({ ...match, index: bodyStart + match.index }, match[5], match[1] || match[3]));
+        }
+    }
+    return regions;
+}
+
+// Where a file holds styles: whole stylesheets; <style>, style="" and inline scripts in HTML; style writes in JS
+function styleRegions(text, ext) {
+    if (STYLESHEET_EXTENSIONS.includes(ext)) {
+        return [{ start: 0, end: text.length, kind: 'stylesheet' }];
+    }
+    if (!HTML_EXTENSIONS.includes(ext)) {
+        return scriptRegions(text);
+    }
+    const regions = [];
+    for (const match of text.matchAll(STYLE_ELEMENT)) {
+        const start = match.index + match[1].length;
+        regions.push({ start, end: start + match[2].length, kind: 'stylesheet' });
+    }
+    for (const match of text.matchAll(STYLE_ATTRIBUTE)) {
+        const start = match.index + match[1].length + 1;
+        regions.push({ start, end: start + match[3].length, kind: 'declarations' });
+    }
+    for (const match of text.matchAll(SCRIPT_ELEMENT)) {
+        regions.push(...scriptRegions(match[2], match.index + match[1].length));
+    }
+    return regions;
+}
+
+// Literal positions in a file, before the palette is consulted: [{ start, end, literal, color }]
+// Only colours in style contexts count; colour tables and other data in scripts are left alone
+function findLiterals(text, ext) {
+    const found = [];
+    const add = (start, literal) => found.push({ start, end: start + literal.length, literal });
+
+    for (const region of styleRegions(text, ext)) {
+        const source = text.slice(region.start, region.end);
+        for (const match of source.matchAll(HEX_PATTERN)) {
+            const before = text.slice(Math.max(0, region.start + match.index - 40), region.start + match.index);
+            // Entities (&#123;), URL fragments and url(#id) are not colours
+            if (/[&\w/]$/.test(before) || /url\(\s*["']?\s*$/i.test(before)) {
+                continue;
+            }
+            if (region.kind === 'stylesheet' && isSelector(source, match.index + match[0].length)) {
+                continue;
+            }
+            add(region.start + match.index, match[0]);
+        }
+        for (const match of source.matchAll(FUNCTION_PATTERN)) {
+            add(region.start + match.index, match[0]);
+        }
+        if (region.kind === 'value') {
+            if (COLOUR_PROPERTY.test(region.property)) {
+                for (const match of source.matchAll(NAMED_PATTERN)) {
+                    add(region.start + match.index, match[0]);
+                }
+            }
+            continue;
+        }
+        for (const declaration of source.matchAll(CSS_DECLARATION)) {
+            const valueStart = region.start + declaration.index + declaration[0].length - declaration[1].length;
+            for (const match of declaration[1].matchAll(NAMED_PATTERN)) {
+                add(valueStart + match.index, match[0]);
+            }
+        }
+    }
+
+    const seen = new Set();
+    return found
+        .sort((a, b) => a.start - b.start)
+        .filter(item => {
+            if (seen.has(item.start)) {
+                return false;
+            }
+            seen.add(item.start);
+            item.color = tokens.parseColor(NAMED_COLOURS[item.literal.toLowerCase()] || item.literal);
+            return Boolean(item.color);
+        });
+}
+
+function nearestRole(color, palette) {
+    let best = null;
+    for (const role of tokens.ROLES) {
+        const distance = tokens.colorDistance(color, palette[role]);
+        if (!best || distance < best.distance) {
+            best = { role, distance };
+        }
+    }
+    return best;
+}
+
+// Findings for one file: [{ line, column, literal, role, distance, start, end, replacement }]
+function lintText(text, ext, palette) {
+    const lineStarts = [0];
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\n') {
+            lineStarts.push(i + 1);
+        }
+    }
+    const disabled = disabledLines(text.split('\n'));
+    const findings = [];
+
+    for (const item of findLiterals(text, ext)) {
+        // Binary search for the last line starting at or before the literal
+        let low = 0;
+        let high = lineStarts.length - 1;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (lineStarts[middle] <= item.start) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        const line = low + 1;
+        const lineStart = lineStarts[line - 1];
+        const before = text.slice(lineStart, item.start);
+        // --theme-* definitions are where the palette lives
+        if (disabled.has(line) || /--theme-[\w-]+\s*:[^;{}]*$/.test(before)) {
+            continue;
+        }
+        const { role, distance } = nearestRole(item.color, palette);
+        const variable = `var(${tokens.roleVariable(role)})`;
+        const finding = { line, column: item.start - lineStart + 1, literal: item.literal, role, distance, start: item.start, end: item.end };
+
+        const fallback = /var\(\s*(--theme-[\w-]+)\s*,\s*$/.exec(before);
+        const closing = /^\s*\)/.exec(text.slice(item.end));
+        if (fallback && closing) {
+            // var(--theme-x, #abc) -> var(--theme-x): the engine supplies the colour, never a fallback
+            finding.start = lineStart + fallback.index;
+            finding.end = item.end + closing[0].length;
+            finding.replacement = `var(${fallback[1]})`;
+            finding.fallback = fallback[1];
+        } else if (item.color.a !== undefined && item.color.a < 1) {
+            finding.replacement = `color-mix(in srgb, ${variable} ${Math.round(item.color.a * 100)}%, transparent)`;
+        } else {
+            finding.replacement = variable;
+        }
+        findings.push(finding);
+    }
+    return findings;
+}
+
+function applyFixes(text, findings) {
+    let fixed = text;
+    for (const finding of [...findings].sort((a, b) => b.start - a.start)) {
+        fixed = fixed.slice(0, finding.start) + finding.replacement + fixed.slice(finding.end);
+    }
+    return fixed;
+}
+
+function main() {
+    const themes = loadThemes();
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        printUsage(themes);
+        process.exit(2);
+    }
+    if (options.help) {
+        printUsage(themes);
+        return;
+    }
+    const theme = themes[String(options.theme).toLowerCase()];
+    if (!theme) {
+        console.error(`❌ Unknown theme "${options.theme}". Available themes: ${Object.keys(themes).join(', ')}`);
+        process.exit(2);
+    }
+    const palette = {};
+    for (const role of tokens.ROLES) {
+        palette[role] = tokens.parseColor(theme.colors[role]);
+    }
+
+    let files = [];
+    try {
+        for (const target of options.paths) {
+            collectFiles(target, files);
+        }
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(2);
+    }
+    files = [...new Set(files)];
+
+    let total = 0;
+    let affectedFiles = 0;
+    for (const file of files) {
+        const text = fs.readFileSync(file, 'utf8');
+        const findings = lintText(text, path.extname(file).toLowerCase(), palette);
+        if (!findings.length) {
+            continue;
+        }
+        total += findings.length;
+        affectedFiles++;
+        console.log(path.relative(process.cwd(), file) || file);
+        for (const finding of findings) {
+            const suggestion = finding.fallback
+                ? `drop the fallback of ${finding.fallback}`
+                : `${tokens.roleVariable(finding.role)} (ΔE ${finding.distance.toFixed(3)})`;
+            console.log(`  ${finding.line}:${finding.column}  ${finding.literal}  → ${suggestion}`);
+        }
+        if (options.fix) {
+            fs.writeFileSync(file, applyFixes(text, findings));
+        }
+    }
+
+    if (!total) {
+        console.log(`✅ No hardcoded colours in ${files.length} file(s)`);
+        return;
+    }
+    if (options.fix) {
+        console.log(`\n🔧 Rewrote ${total} hardcoded colour(s) in ${affectedFiles} file(s) to ${theme.name} roles`);
+        return;
+    }
+    console.log(`\n❌ ${total} hardcoded colour(s) in ${affectedFiles} file(s), compared with ${theme.name}. Run with --fix to rewrite them.`);
+    process.exitCode = 1;
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { NAMED_COLOURS, collectFiles, lintText, applyFixes };
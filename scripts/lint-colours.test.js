@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const tokens = require('../theme-tokens');
+const { BUILT_IN_PALETTES } = require('../lib/theme-registry');
+const { collectFiles, lintText, applyFixes } = require('./lint-colours');
+
+const ROOT = path.join(__dirname, '..');
+const palette = {};
+for (const role of tokens.ROLES) {
+    palette[role] = tokens.parseColor(BUILT_IN_PALETTES.cividis.colors[role]);
+}
+
+function fix(text, ext) {
+    return applyFixes(text, lintText(text, ext, palette));
+}
+
+test('colour data in scripts is not reported', () => {
+    const source = [
+        "const palette = { primary: '#00204c', text: 'white', shadow: 'rgba(0, 0, 0, 0.1)' };",
+        "const names = ['red', 'orange'];",
+        "element.style.setProperty('--theme-primary', '#00204c');"
+    ].join('\n');
+    assert.deepEqual(lintText(source, '.js', palette), []);
+    assert.deepEqual(lintText(fs.readFileSync(path.join(ROOT, 'lib/theme-registry.js'), 'utf8'), '.js', palette), []);
+});
+
+test('style writes in scripts are reported and fixed', () => {
+    const source = [
+        "button.style.color = 'white';",
+        "button.style.setProperty('border-color', '#00204c');",
+        "Object.assign(this.panel.style, { background: 'rgba(0, 32, 76, 0.5)', width: '10px' });",
+        "button.style.cssText = 'color: #1b1b1b; display: block';"
+    ].join('\n');
+    const findings = lintText(source, '.js', palette);
+    assert.deepEqual(findings.map(finding => [finding.line, finding.literal, finding.role]), [
+        [1, 'white', 'background'],
+        [2, '#00204c', 'primary'],
+        [3, 'rgba(0, 32, 76, 0.5)', 'primary'],
+        [4, '#1b1b1b', 'text']
+    ]);
+    assert.equal(applyFixes(source, findings), [
+        "button.style.color = 'var(--theme-background)';",
+        "button.style.setProperty('border-color', 'var(--theme-primary)');",
+        "Object.assign(this.panel.style, { background: 'color-mix(in srgb, var(--theme-primary) 50%, transparent)', width: '10px' });",
+        "button.style.cssText = 'color: var(--theme-text); display: block';"
+    ].join('\n'));
+});
+
+test('HTML is read in <style>, style="" and inline scripts only', () => {
+    const html = [
+        '<meta name="theme-color" content="#00204c">',
+        '<style>#hero, .card { color: #1b1b1b; border: 1px solid gray; }</style>',
+        '<a href="#top" style="color: white">Top</a>',
+        '<p>Use red for errors</p>',
+        "<script>el.style.background = '#ffffff'; const list = ['#00204c'];</script>"
+    ].join('\n');
+    assert.equal(fix(html, '.html'), [
+        '<meta name="theme-color" content="#00204c">',
+        '<style>#hero, .card { color: var(--theme-text); border: 1px solid var(--theme-secondary); }</style>',
+        '<a href="#top" style="color: var(--theme-background)">Top</a>',
+        '<p>Use red for errors</p>',
+        "<script>el.style.background = 'var(--theme-background)'; const list = ['#00204c'];</script>"
+    ].join('\n'));
+});
+
+test('stylesheets: definitions are kept, fallbacks dropped, disable comments honoured', () => {
+    const css = [
+        ':root { --theme-primary: #00204c; }',
+        '.a { color: var(--theme-text, #333); }',
+        '.b { background: #f8f9fa; } /* colour-lint-disable-line */',
+        '/* colour-lint-disable-next-line */',
+        '.c { background: #f8f9fa; }',
+        '.d { background: #f8f9fa; }'
+    ].join('\n');
+    assert.equal(fix(css, '.css'), [
+        ':root { --theme-primary: #00204c; }',
+        '.a { color: var(--theme-text); }',
+        '.b { background: #f8f9fa; } /* colour-lint-disable-line */',
+        '/* colour-lint-disable-next-line */',
+        '.c { background: #f8f9fa; }',
+        '.d { background: var(--theme-surface); }'
+    ].join('\n'));
+});
+
+test('palette sources and tests are skipped when a folder is walked', () => {
+    const files = collectFiles(ROOT).map(file => path.relative(ROOT, file));
+    for (const file of ['api-server.js', 'theme-tokens.js', 'lib/theme-registry.js', 'lib/palette-generator.js']) {
+        assert.ok(!files.includes(file), file);
+    }
+    assert.ok(files.includes('cividis-theme.js'));
+    assert.ok(files.includes('cividis-theme.css'));
+    assert.ok(!files.some(file => file.startsWith('node_modules')));
+    assert.ok(!files.some(file => file.endsWith('.test.js')));
+    assert.deepEqual(collectFiles(__filename), [__filename]);
+});
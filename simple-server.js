@@ -1,78 +1,353 @@
+/*
+ * Development / preview server for the Cividis Theme Engine
+ * Serves the static pages and mounts the theme API under /api on one port,
+ * the same path layout as the api/theme.js Vercel handler.
+ *
+ * - Only the site is served: top-level pages, stylesheets and images, the browser engine scripts and the dist/ builds;
+ *   the API source, package.json, scripts/, data and anything outside the site directory never are
+ * - ETag / Last-Modified revalidation, gzip or brotli for text files, byte ranges for uncompressed responses
+ * - Live reload: pages reload when an HTML or JS file changes, stylesheets are swapped in place
+ *
+ * PORT (default 8000), LIVE_RELOAD=false to turn live reload off
+ */
+
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
-const url = require('url');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const api = require('./api-server');
 
-const port = 8000;
+const port = Number(process.env.PORT) || 8000;
+const root = fs.realpathSync(__dirname);
+const liveReload = process.env.LIVE_RELOAD !== 'false';
+const API_PREFIX = '/api';
+const RELOAD_PATH = '/__livereload';
 
 // MIME types for different file extensions
 const mimeTypes = {
-    '.html': 'text/html',
-    '.js': 'text/javascript',
-    '.css': 'text/css',
-    '.json': 'application/json',
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
     '.png': 'image/png',
     '.jpg': 'image/jpeg',
     '.gif': 'image/gif',
     '.ico': 'image/x-icon',
-    '.svg': 'image/svg+xml'
+    '.svg': 'image/svg+xml',
+    '.woff2': 'font/woff2'
 };
 
+// Worth compressing; images and fonts are compressed already
+const compressibleExtensions = ['.html', '.js', '.css', '.json', '.md', '.txt', '.svg'];
+
+// Preferred first
+const encoders = {
+    br: promisify(zlib.brotliCompress),
+    gzip: promisify(zlib.gzip)
+};
+
+// Compressed bodies, keyed by path and encoding; entries are replaced when the file's ETag changes
+const compressedCache = new Map();
+
+// Allow-list of what the server sends: new top-level files stay private until they are added here
+const publicExtensions = ['.html', '.css', '.png', '.jpg', '.gif', '.ico', '.svg', '.woff2'];
+const publicScripts = ['cividis-theme.js', 'theme-tokens.js', 'theme-schema.js'];
+// Served (and watched) with everything in them
+const publicDirectories = ['dist'];
+
+const reloadClients = new Set();
+
+const reloadScript = `<script>
+(function () {
+    var source = new EventSource('${RELOAD_PATH}');
+    source.addEventListener('change', function (event) {
+        if (/\\.css$/.test(event.data)) {
+            document.querySelectorAll('link[rel="stylesheet"]').forEach(function (link) {
+                var url = new URL(link.href);
+                url.searchParams.set('reload', Date.now());
+                link.href = url.toString();
+            });
+            return;
+        }
+        window.location.reload();
+    });
+})();
+</script>`;
+
+// Path relative to the site directory ('' for the site directory itself), split on the platform separator
+function isPublicPath(segments) {
+    if (segments.some(segment => segment.startsWith('.'))) {
+        return false;
+    }
+    if (publicDirectories.includes(segments[0])) {
+        return true;
+    }
+    if (segments.length > 1) {
+        return false;
+    }
+    const [name] = segments;
+    return name === '' || publicScripts.includes(name) || publicExtensions.includes(path.extname(name).toLowerCase());
+}
+
+function sendText(res, status, message) {
+    res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(message);
+}
+
+// Absolute path for a request path, or null when it would leave the site directory or is not public
+function resolveRequestPath(pathName) {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(pathName);
+    } catch (error) {
+        return null;
+    }
+    if (decoded.includes('\0')) {
+        return null;
+    }
+    const filePath = path.resolve(root, '.' + path.posix.normalize('/' + decoded));
+    if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+        return null;
+    }
+    return isPublicPath(path.relative(root, filePath).split(path.sep)) ? filePath : null;
+}
+
+// File to serve and its stats; directories serve their index.html
+async function findFile(filePath) {
+    let stats = await fs.promises.stat(filePath);
+    if (stats.isDirectory()) {
+        filePath = path.join(filePath, 'index.html');
+        stats = await fs.promises.stat(filePath);
+    }
+    // A symlink may point outside the site directory
+    const realPath = await fs.promises.realpath(filePath);
+    if (!realPath.startsWith(root + path.sep) || !stats.isFile()) {
+        return null;
+    }
+    return { filePath, stats };
+}
+
+function isFresh(req, etag, stats) {
+    const noneMatch = req.headers['if-none-match'];
+    if (noneMatch) {
+        return noneMatch.split(',').some(tag => tag.trim() === etag || tag.trim() === '*');
+    }
+    const modifiedSince = Date.parse(req.headers['if-modified-since']);
+    return !Number.isNaN(modifiedSince) && Math.floor(stats.mtimeMs / 1000) * 1000 <= modifiedSince;
+}
+
+function pickEncoding(req) {
+    const accepted = String(req.headers['accept-encoding'] || '')
+        .split(',')
+        .map(part => part.trim().split(';'))
+        .filter(([, quality]) => !quality || Number(quality.trim().replace('q=', '')) > 0)
+        .map(([name]) => name.trim());
+    return Object.keys(encoders).find(encoding => accepted.includes(encoding)) || null;
+}
+
+// { start, end } for a single "bytes=" range, 'unsatisfiable', or null to send the whole file
+function parseRange(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+    if (!match || (match[1] === '' && match[2] === '')) {
+        return null;
+    }
+    let start;
+    let end;
+    if (match[1] === '') {
+        // bytes=-500 is the last 500 bytes
+        start = Math.max(0, size - Number(match[2]));
+        end = size - 1;
+    } else {
+        start = Number(match[1]);
+        end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+    }
+    return start > end || start >= size ? 'unsatisfiable' : { start, end };
+}
+
+async function compressed(filePath, etag, encoding, body) {
+    const key = `${encoding}:${filePath}`;
+    const cached = compressedCache.get(key);
+    if (cached && cached.etag === etag) {
+        return cached.body;
+    }
+    const result = await encoders[encoding](body);
+    compressedCache.set(key, { etag, body: result });
+    return result;
+}
+
+async function serveStatic(req, res, pathName) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.setHeader('Allow', 'GET, HEAD');
+        return sendText(res, 405, '405 Method Not Allowed');
+    }
+    const requested = resolveRequestPath(pathName);
+    const file = requested && await findFile(requested).catch(() => null);
+    if (!file) {
+        return sendText(res, 404, '404 Not Found');
+    }
+
+    const { filePath, stats } = file;
+    const ext = path.extname(filePath).toLowerCase();
+    const injectReload = liveReload && ext === '.html';
+    // The live reload snippet changes the body, so it is part of the validator
+    const etag = `W/"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}${injectReload ? '-lr' : ''}"`;
+    const encoding = compressibleExtensions.includes(ext) ? pickEncoding(req) : null;
+    const headers = {
+        'Content-Type': mimeTypes[ext] || 'application/octet-stream',
+        'ETag': etag,
+        'Last-Modified': stats.mtime.toUTCString(),
+        // Always revalidate: cheap with ETags, and edits show up on the next load
+        'Cache-Control': 'no-cache',
+        'X-Content-Type-Options': 'nosniff'
+    };
+    if (compressibleExtensions.includes(ext)) {
+        headers['Vary'] = 'Accept-Encoding';
+    }
+
+    if (isFresh(req, etag, stats)) {
+        res.writeHead(304, headers);
+        return res.end();
+    }
+
+    // Files sent as they are on disk are streamed, with byte range support (media seeking, resumed downloads)
+    if (!encoding && !injectReload) {
+        headers['Accept-Ranges'] = 'bytes';
+        const range = parseRange(req.headers.range, stats.size);
+        if (range === 'unsatisfiable') {
+            res.writeHead(416, { 'Content-Range': `bytes */${stats.size}` });
+            return res.end();
+        }
+        const { start, end } = range || { start: 0, end: stats.size - 1 };
+        headers['Content-Length'] = stats.size === 0 ? 0 : end - start + 1;
+        if (range) {
+            headers['Content-Range'] = `bytes ${start}-${end}/${stats.size}`;
+        }
+        res.writeHead(range ? 206 : 200, headers);
+        if (req.method === 'HEAD' || stats.size === 0) {
+            return res.end();
+        }
+        return fs.createReadStream(filePath, { start, end }).pipe(res);
+    }
+
+    let body = await fs.promises.readFile(filePath);
+    if (injectReload) {
+        const html = body.toString('utf8');
+        const index = html.lastIndexOf('</body>');
+        body = Buffer.from(index === -1 ? html + reloadScript : html.slice(0, index) + reloadScript + html.slice(index));
+    }
+    if (encoding) {
+        body = await compressed(filePath, etag, encoding, body);
+        headers['Content-Encoding'] = encoding;
+    }
+    headers['Content-Length'] = body.length;
+    res.writeHead(200, headers);
+    res.end(req.method === 'HEAD' ? undefined : body);
+}
+
+function serveReloadStream(req, res) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.write(': connected\n\n');
+    reloadClients.add(res);
+    req.on('close', () => reloadClients.delete(res));
+}
+
+// Watch the site for HTML, CSS and JS edits; editors often write a file several times, so changes are batched
+// Only public files trigger a reload: the site root is watched one level deep, public folders recursively
+function watchForChanges() {
+    const pending = new Set();
+    let timer = null;
+    const queue = (fileName) => {
+        if (!/\.(html|css|js)$/.test(fileName)) {
+            return;
+        }
+        const segments = fileName.split(path.sep);
+        if (!isPublicPath(segments)) {
+            return;
+        }
+        pending.add(segments.join('/'));
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            for (const changed of pending) {
+                console.log(`🔄 Changed: ${changed}`);
+                reloadClients.forEach(client => client.write(`event: change\ndata: ${changed}\n\n`));
+            }
+            pending.clear();
+        }, 100);
+    };
+    const watch = (directory, options, prefix) => {
+        try {
+            fs.watch(directory, options, (eventType, fileName) => fileName && queue(prefix + fileName))
+                // A deleted folder or exhausted watcher limit only loses live reload for that folder
+                .on('error', error => console.error(`⚠️  Live reload stopped watching ${prefix || './'}: ${error.message}`));
+        } catch (error) {
+            console.error(`⚠️  Live reload cannot watch ${prefix || './'}: ${error.message}`);
+        }
+    };
+
+    watch(root, {}, '');
+    for (const directory of publicDirectories) {
+        if (fs.existsSync(path.join(root, directory))) {
+            watch(path.join(root, directory), { recursive: true }, directory + path.sep);
+        }
+    }
+}
+
 const server = http.createServer((req, res) => {
+    const pathName = new URL(req.url, 'http://localhost').pathname;
+
+    // The API sets its own CORS headers and handles OPTIONS
+    if (pathName === API_PREFIX || pathName.startsWith(API_PREFIX + '/')) {
+        req.url = req.url.slice(API_PREFIX.length) || '/';
+        return api(req, res);
+    }
+
     // Enable CORS
     res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, OPTIONS');
     res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-    
+
     if (req.method === 'OPTIONS') {
         res.writeHead(200);
         res.end();
         return;
     }
-    
-    // Parse URL
-    const parsedUrl = url.parse(req.url, true);
-    let pathName = parsedUrl.pathname;
-    
-    // Default to index.html for root
-    if (pathName === '/') {
-        pathName = '/index.html';
-    }
-    
-    // Get file path
-    const filePath = path.join(__dirname, pathName);
-    
-    // Check if file exists
-    fs.access(filePath, fs.constants.F_OK, (err) => {
-        if (err) {
-            res.writeHead(404, { 'Content-Type': 'text/plain' });
-            res.end('404 Not Found');
-            return;
+
+    if (liveReload && pathName === RELOAD_PATH) {
+        return serveReloadStream(req, res);
+    }
+
+    serveStatic(req, res, pathName).catch((error) => {
+        console.error('Error serving file:', error);
+        if (!res.headersSent) {
+            sendText(res, 500, '500 Internal Server Error');
+        } else {
+            res.destroy();
         }
-        
-        // Get file extension
-        const ext = path.extname(filePath);
-        const contentType = mimeTypes[ext] || 'text/plain';
-        
-        // Read and serve file
-        fs.readFile(filePath, (err, data) => {
-            if (err) {
-                res.writeHead(500, { 'Content-Type': 'text/plain' });
-                res.end('500 Internal Server Error');
-                return;
-            }
-            
-            res.writeHead(200, { 'Content-Type': contentType });
-            res.end(data);
-        });
     });
 });
 
+if (!api.checkStartup()) {
+    process.exit(1);
+}
+
+if (liveReload) {
+    watchForChanges();
+}
+
 server.listen(port, () => {
     console.log(`🌐 HTTP Server running on http://localhost:${port}`);
-    console.log(`📁 Serving files from: ${__dirname}`);
+    console.log(`📁 Serving files from: ${root}`);
+    console.log(`📡 Theme API: http://localhost:${port}${API_PREFIX}/theme`);
+    console.log(`🔄 Live reload: ${liveReload ? 'on' : 'off'}`);
     console.log(`🔗 Test URLs:`);
     console.log(`   • http://localhost:${port}/index.html`);
     console.log(`   • http://localhost:${port}/comparison.html`);
     console.log(`   • http://localhost:${port}/demo.html`);
-});
\ No newline at end of file
+});
@@ -0,0 +1,70 @@
+/**
+ * Cividis Tailwind Plugin
+ * Theme colours, gradients and shadows for Tailwind, generated from theme-tokens.js,
+ * the same role list the API validates its themes against, so a new role needs no config change.
+ * - Colours read the --theme-*-rgb channel variables the engine sets, so opacity modifiers work (bg-primary/50)
+ * - on-* colours are the palette colour that reads best on each role (bg-primary text-on-primary)
+ * - bg-gradient-*, text-gradient-* and shadow-theme(-lg|-xl) use the derived tokens
+ *
+ *   plugins: [require('cividis-theme/tailwind-plugin')]
+ *   plugins: [require('cividis-theme/tailwind-plugin')({ shortNames: false })]  // only theme-* colour names
+ */
+
+const plugin = require('tailwindcss/plugin');
+const tokens = require('./theme-tokens');
+
+function channelColor(key) {
+    return `rgb(var(${tokens.channelVariable(key)}) / <alpha-value>)`;
+}
+
+// theme-primary, theme-on-primary, ... plus primary, on-primary, ... unless shortNames is false
+function themeColors(shortNames) {
+    const colors = {};
+    for (const key of tokens.COLOR_KEYS) {
+        colors[`theme-${key}`] = channelColor(key);
+        if (shortNames) {
+            colors[key] = channelColor(key);
+        }
+    }
+    return colors;
+}
+
+function themeGradients() {
+    const gradients = {};
+    for (const name of Object.keys(tokens.GRADIENTS)) {
+        gradients[`gradient-${name}`] = `var(${tokens.roleVariable(`gradient-${name}`)})`;
+    }
+    return gradients;
+}
+
+function themeShadows() {
+    const shadows = {};
+    for (const [name, offset] of Object.entries(tokens.SHADOW_OFFSETS)) {
+        shadows[name.replace('shadow', 'theme')] = `${offset} var(${tokens.roleVariable(name)})`;
+    }
+    return shadows;
+}
+
+module.exports = plugin.withOptions(
+    () => ({ addUtilities }) => {
+        const utilities = {};
+        for (const name of Object.keys(tokens.GRADIENTS)) {
+            utilities[`.text-gradient-${name}`] = {
+                background: `var(${tokens.roleVariable(`gradient-${name}`)})`,
+                '-webkit-background-clip': 'text',
+                'background-clip': 'text',
+                '-webkit-text-fill-color': 'transparent'
+            };
+        }
+        addUtilities(utilities);
+    },
+    ({ shortNames = true } = {}) => ({
+        theme: {
+            extend: {
+                colors: themeColors(shortNames),
+                backgroundImage: themeGradients(),
+                boxShadow: themeShadows()
+            }
+        }
+    })
+);
@@ -6,42 +6,13 @@ module.exports = {
   ],
   theme: {
     extend: {
-      colors: {
-        // Cividis theme colors using CSS variables
-        'theme-primary': 'var(--theme-primary)',
-        'theme-secondary': 'var(--theme-secondary)', 
-        'theme-accent': 'var(--theme-accent)',
-        'theme-success': 'var(--theme-success)',
-        'theme-warning': 'var(--theme-warning)',
-        'theme-info': 'var(--theme-info)',
-        'theme-background': 'var(--theme-background)',
-        'theme-surface': 'var(--theme-surface)',
-        'theme-text': 'var(--theme-text)',
-        'theme-text-muted': 'var(--theme-text-muted)',
-        'theme-border': 'var(--theme-border)',
-        
-        // Shortened versions for easier use
-        'primary': 'var(--theme-primary)',
-        'secondary': 'var(--theme-secondary)',
-        'accent': 'var(--theme-accent)',
-        'success': 'var(--theme-success)',
-        'warning': 'var(--theme-warning)',
-        'info': 'var(--theme-info)',
-      },
+      // Role colours, on-* pairs, gradients and shadows come from tailwind-plugin.js
       backgroundImage: {
-        'gradient-primary': 'var(--theme-gradient-primary)',
-        'gradient-accent': 'var(--theme-gradient-accent)', 
-        'gradient-warm': 'var(--theme-gradient-warm)',
-        'gradient-cool': 'var(--theme-gradient-cool)',
         'gradient-cividis': 'linear-gradient(135deg, var(--theme-primary), var(--theme-secondary), var(--theme-accent), var(--theme-success), var(--theme-warning), var(--theme-info))',
       },
       borderColor: {
         'theme': 'var(--theme-border)',
       },
-      boxShadow: {
-        'theme': '0 2px 8px var(--theme-shadow)',
-        'theme-lg': '0 4px 16px var(--theme-shadow)',
-      },
       borderRadius: {
         'theme': 'var(--theme-border-radius)',
         'theme-lg': 'var(--theme-border-radius-lg)',
@@ -52,12 +23,10 @@ module.exports = {
     },
   },
   plugins: [
+    require('./tailwind-plugin'),
     // Custom plugin to add theme-aware utilities
     function({ addUtilities, theme }) {
       const themeUtilities = {
-        '.bg-theme-surface': {
-          'background-color': 'var(--theme-surface)',
-        },
         '.text-theme': {
           'color': 'var(--theme-text)',
         },
@@ -67,9 +36,6 @@ module.exports = {
         '.border-theme': {
           'border-color': 'var(--theme-border)',
         },
-        '.shadow-theme': {
-          'box-shadow': '0 2px 8px var(--theme-shadow)',
-        },
         '.transition-theme': {
           'transition': 'var(--theme-transition)',
         },
@@ -83,25 +49,6 @@ module.exports = {
         '.disabled\\:opacity-theme:disabled': {
           'opacity': 'var(--theme-disabled-opacity)',
         },
-        // Gradient text utilities
-        '.text-gradient-primary': {
-          'background': 'var(--theme-gradient-primary)',
-          '-webkit-background-clip': 'text',
-          'background-clip': 'text',
-          '-webkit-text-fill-color': 'transparent',
-        },
-        '.text-gradient-accent': {
-          'background': 'var(--theme-gradient-accent)',
-          '-webkit-background-clip': 'text', 
-          'background-clip': 'text',
-          '-webkit-text-fill-color': 'transparent',
-        },
-        '.text-gradient-warm': {
-          'background': 'var(--theme-gradient-warm)',
-          '-webkit-background-clip': 'text',
-          'background-clip': 'text', 
-          '-webkit-text-fill-color': 'transparent',
-        },
       };
       
       addUtilities(themeUtilities);
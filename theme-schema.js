@@ -0,0 +1,172 @@
+/**
+ * Cividis Theme Schema
+ * One definition of a valid theme, shared by the API server and the browser engine:
+ * - Every palette role present, each a valid colour (#rgb, #rrggbb, rgb(), rgba(), hsl(), hsla(), oklch())
+ * - styling_rules entries with a selector and valid colours (plus an optional contrast report)
+ * - meta with an ISO timestamp and a version
+ * Validation collects every problem instead of stopping at the first one.
+ */
+
+(function (root) {
+    const tokens = (typeof module !== 'undefined' && module.exports && typeof require === 'function')
+        ? require('./theme-tokens')
+        : root.CividisThemeTokens;
+
+    const RULE_COLOR_FIELDS = ['background', 'text_color', 'border_color'];
+    const OPTIONAL_RULE_FIELDS = ['border_color', 'description'];
+
+    class ThemeValidationError extends Error {
+        constructor(errors, context = 'Invalid theme payload') {
+            super(`${context}: ${errors.map(e => `${e.path} ${e.message}`).join('; ')}`);
+            this.name = 'ThemeValidationError';
+            this.errors = errors;
+        }
+    }
+
+    function isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    // 4- and 8-digit hex are rejected on purpose: alpha belongs in rgba()
+    function isValidColor(value) {
+        if (typeof value !== 'string') {
+            return false;
+        }
+        const input = value.trim();
+        if (input.startsWith('#')) {
+            return /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(input);
+        }
+        return tokens.parseColor(input) !== null;
+    }
+
+    function describe(value) {
+        if (value === undefined) {
+            return 'missing';
+        }
+        return `got ${JSON.stringify(value)}`;
+    }
+
+    function validateColors(colors, path, errors) {
+        if (!isPlainObject(colors)) {
+            errors.push({ path, message: `must be an object (${describe(colors)})` });
+            return;
+        }
+        for (const role of tokens.ROLES) {
+            if (!(role in colors)) {
+                errors.push({ path: `${path}.${role}`, message: 'is required' });
+            } else if (!isValidColor(colors[role])) {
+                errors.push({ path: `${path}.${role}`, message: `must be a valid colour (${describe(colors[role])})` });
+            }
+        }
+    }
+
+    function validateStylingRules(rules, path, errors) {
+        if (!isPlainObject(rules)) {
+            errors.push({ path, message: `must be an object (${describe(rules)})` });
+            return;
+        }
+        for (const [name, rule] of Object.entries(rules)) {
+            const rulePath = `${path}.${name}`;
+            if (!isPlainObject(rule)) {
+                errors.push({ path: rulePath, message: `must be an object (${describe(rule)})` });
+                continue;
+            }
+            if (typeof rule.selector !== 'string' || !rule.selector.trim()) {
+                errors.push({ path: `${rulePath}.selector`, message: `must be a non-empty string (${describe(rule.selector)})` });
+            } else if (/[{}<]/.test(rule.selector)) {
+                errors.push({ path: `${rulePath}.selector`, message: 'must not contain "{", "}" or "<"' });
+            }
+            for (const field of RULE_COLOR_FIELDS) {
+                if (rule[field] === undefined && OPTIONAL_RULE_FIELDS.includes(field)) {
+                    continue;
+                }
+                if (!isValidColor(rule[field])) {
+                    errors.push({ path: `${rulePath}.${field}`, message: `must be a valid colour (${describe(rule[field])})` });
+                }
+            }
+            if (rule.description !== undefined && typeof rule.description !== 'string') {
+                errors.push({ path: `${rulePath}.description`, message: `must be a string (${describe(rule.description)})` });
+            }
+            // Optional contrast report from the server
+            if (rule.contrast_ratio !== undefined && (typeof rule.contrast_ratio !== 'number' || rule.contrast_ratio < 1 || rule.contrast_ratio > 21)) {
+                errors.push({ path: `${rulePath}.contrast_ratio`, message: `must be a number from 1 to 21 (${describe(rule.contrast_ratio)})` });
+            }
+            for (const flag of ['wcag_aa', 'wcag_aaa']) {
+                if (rule[flag] !== undefined && typeof rule[flag] !== 'boolean') {
+                    errors.push({ path: `${rulePath}.${flag}`, message: `must be a boolean (${describe(rule[flag])})` });
+                }
+            }
+        }
+    }
+
+    function validateMeta(meta, path, errors) {
+        if (!isPlainObject(meta)) {
+            errors.push({ path, message: `must be an object (${describe(meta)})` });
+            return;
+        }
+        if (typeof meta.timestamp !== 'string' || Number.isNaN(Date.parse(meta.timestamp))) {
+            errors.push({ path: `${path}.timestamp`, message: `must be an ISO date string (${describe(meta.timestamp)})` });
+        }
+        if (typeof meta.version !== 'string' || !meta.version) {
+            errors.push({ path: `${path}.version`, message: `must be a non-empty string (${describe(meta.version)})` });
+        }
+    }
+
+    // A registered theme: { name, colors, styling_rules }
+    function validateTheme(theme, path = 'theme') {
+        const errors = [];
+        if (!isPlainObject(theme)) {
+            errors.push({ path, message: `must be an object (${describe(theme)})` });
+            return errors;
+        }
+        if (typeof theme.name !== 'string' || !theme.name.trim()) {
+            errors.push({ path: `${path}.name`, message: `must be a non-empty string (${describe(theme.name)})` });
+        }
+        validateColors(theme.colors, `${path}.colors`, errors);
+        if (theme.styling_rules !== undefined) {
+            validateStylingRules(theme.styling_rules, `${path}.styling_rules`, errors);
+        }
+        return errors;
+    }
+
+    // A payload as served by /theme, /theme/:themeName and /theme/toggle
+    function validateThemePayload(data) {
+        const errors = [];
+        if (!isPlainObject(data)) {
+            errors.push({ path: 'payload', message: `must be an object (${describe(data)})` });
+            return errors;
+        }
+        if (data.success !== true) {
+            errors.push({ path: 'success', message: `must be true (${describe(data.success)})` });
+        }
+        if (data.theme !== undefined && (typeof data.theme !== 'string' || !data.theme.trim())) {
+            errors.push({ path: 'theme', message: `must be a non-empty string (${describe(data.theme)})` });
+        }
+        validateColors(data.colors, 'colors', errors);
+        validateStylingRules(data.styling_rules, 'styling_rules', errors);
+        validateMeta(data.meta, 'meta', errors);
+        return errors;
+    }
+
+    function assertValidThemePayload(data) {
+        const errors = validateThemePayload(data);
+        if (errors.length) {
+            throw new ThemeValidationError(errors);
+        }
+        return data;
+    }
+
+    const CividisThemeSchema = {
+        ThemeValidationError,
+        isValidColor,
+        validateTheme,
+        validateThemePayload,
+        assertValidThemePayload
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = CividisThemeSchema;
+    } else {
+        root.CividisThemeSchema = CividisThemeSchema;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ThemeValidationError, isValidColor, validateTheme, validateThemePayload, assertValidThemePayload } = require('./theme-schema');
+
+const colors = {
+    primary: '#00204c',
+    secondary: '#7f7c75',
+    accent: '#bbaf71',
+    success: '#0a376d',
+    warning: '#ffe945',
+    info: '#37476b',
+    background: '#ffffff',
+    surface: '#f8f9fa',
+    text: '#1b1b1b',
+    border: '#e0e0e0'
+};
+
+function payload(overrides = {}) {
+    return {
+        success: true,
+        theme: 'Cividis',
+        colors,
+        styling_rules: {
+            warning_text: { selector: '.warning-text', background: '#00204c', text_color: '#ffe945', contrast_ratio: 12.5, wcag_aa: true }
+        },
+        meta: { timestamp: '2026-01-01T00:00:00.000Z', version: '1.0.0' },
+        ...overrides
+    };
+}
+
+test('isValidColor accepts the documented syntaxes only', () => {
+    for (const value of ['#fff', '#00204c', 'rgb(0, 32, 76)', 'rgba(0, 32, 76, 0.5)', 'hsl(210, 50%, 40%)', 'oklch(0.5 0.1 250)']) {
+        assert.ok(isValidColor(value), value);
+    }
+    for (const value of ['#00204cff', '#abcd', 'red', '', 42, undefined, 'rgb(1.2.3, 0, 0)', 'rgb(0, 0 0)']) {
+        assert.ok(!isValidColor(value), String(value));
+    }
+});
+
+test('a served payload validates', () => {
+    assert.deepEqual(validateThemePayload(payload()), []);
+});
+
+test('every problem is reported with its path', () => {
+    const errors = validateThemePayload(payload({
+        success: false,
+        colors: { ...colors, primary: 'blue', border: undefined },
+        styling_rules: { bad: { selector: '} body {', background: '#fff', text_color: '#000', contrast_ratio: 30 } },
+        meta: { timestamp: 'yesterday' }
+    }));
+    assert.deepEqual(errors.map(error => error.path), [
+        'success',
+        'colors.primary',
+        'colors.border',
+        'styling_rules.bad.selector',
+        'styling_rules.bad.contrast_ratio',
+        'meta.timestamp',
+        'meta.version'
+    ]);
+});
+
+test('validateTheme checks a registry entry', () => {
+    assert.deepEqual(validateTheme({ name: 'Cividis', colors }), []);
+    const errors = validateTheme({ name: ' ', colors: {} }, 'themes.brand');
+    assert.equal(errors[0].path, 'themes.brand.name');
+    assert.equal(errors.length, 11);
+});
+
+test('assertValidThemePayload throws a ThemeValidationError listing the errors', () => {
+    assert.throws(() => assertValidThemePayload(payload({ colors: null })), (error) => {
+        assert.ok(error instanceof ThemeValidationError);
+        assert.deepEqual(error.errors, [{ path: 'colors', message: 'must be an object (got null)' }]);
+        return true;
+    });
+});
@@ -0,0 +1,441 @@
+/**
+ * Cividis Theme Tokens
+ * Shared by the browser engine and the API server:
+ * - Palette roles and their --theme-* custom properties
+ * - Colour parsing (hex, rgb(), hsl(), oklch()), formatting, mixing and OKLab helpers
+ * - WCAG 2.x luminance and contrast ratios
+ * - Derived tokens (muted text, on-* contrast pairs, shadows, gradients) computed from a base palette
+ * - "r g b" channel twins of every colour variable, for opacity modifiers
+ */
+
+(function (root) {
+    // Palette roles served by the API, in display order
+    const ROLES = [
+        'primary',
+        'secondary',
+        'accent',
+        'success',
+        'warning',
+        'info',
+        'background',
+        'surface',
+        'text',
+        'border'
+    ];
+
+    const VARIABLE_PREFIX = '--theme-';
+
+    // Shadow strengths, expressed as alpha over the text colour
+    const SHADOW_ALPHAS = {
+        shadow: 0.1,
+        'shadow-lg': 0.2,
+        'shadow-xl': 0.3
+    };
+
+    // Shadow geometry for each strength, shared by the Tailwind plugin and the Tailwind preset export
+    const SHADOW_OFFSETS = {
+        shadow: '0 2px 8px',
+        'shadow-lg': '0 4px 16px',
+        'shadow-xl': '0 6px 20px'
+    };
+
+    // Gradients built from palette roles: the same angle and evenly spaced stops as cividis-theme.css declares
+    const GRADIENTS = {
+        vibrant: { angle: 135, stops: ['primary', 'info', 'warning'] },
+        warm: { angle: 45, stops: ['warning', 'info', 'primary'] },
+        cool: { angle: 90, stops: ['primary', 'success', 'success', 'accent'] },
+        accent: { angle: 135, stops: ['success', 'accent', 'info'] },
+        primary: { angle: 135, stops: ['warning', 'primary', 'success'] },
+        full: { angle: 135, stops: ['warning', 'accent', 'info', 'success', 'primary'] }
+    };
+
+    // How far muted text is pulled from the text colour towards the background
+    const MUTED_TEXT_MIX = 0.3;
+
+    // Every plain colour variable: the roles, muted text and the on-<role> text colour paired with each role
+    const COLOR_KEYS = [...ROLES, 'text-muted', ...ROLES.map(role => `on-${role}`)];
+
+    function roleVariable(key) {
+        if (key.startsWith('--')) {
+            return key;
+        }
+        return VARIABLE_PREFIX + key.replace(/_/g, '-').replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+    }
+
+    // --theme-primary-rgb holds "0 32 76" for rgb(var(--theme-primary-rgb) / 0.5)
+    function channelVariable(key) {
+        return `${roleVariable(key)}-rgb`;
+    }
+
+    function clampChannel(value) {
+        return Math.min(255, Math.max(0, Math.round(value)));
+    }
+
+    // Alpha component: a number or a percentage, 0..1; null when out of range
+    function parseAlpha(value) {
+        if (value === undefined) {
+            return 1;
+        }
+        const alpha = value.endsWith('%') ? parseFloat(value) / 100 : Number(value);
+        return alpha >= 0 && alpha <= 1 ? alpha : null;
+    }
+
+    // CSS <number> without sign or exponent: 12, 12.5 or .5, but not "1.2.3" or "."
+    const NUMBER = '(?:\\d+(?:\\.\\d+)?|\\.\\d+)';
+    const ALPHA = `(${NUMBER}%?)`;
+
+    // Match name(c1, c2, c3[, alpha]) or name(c1 c2 c3[ / alpha]), never a mix of the two separators;
+    // `channels` are the three channel patterns with one capture group each. Returns the four captures
+    // (alpha undefined when absent), or null when the input does not match or a channel is not finite.
+    function matchColorFunction(input, names, channels, { legacy = true } = {}) {
+        const space = `${channels.join('\\s+')}(?:\\s*\\/\\s*${ALPHA})?`;
+        const comma = `${channels.join('\\s*,\\s*')}(?:\\s*,\\s*${ALPHA})?`;
+        const body = legacy ? `(?:${comma}|${space})` : space;
+        const match = new RegExp(`^(?:${names})\\(\\s*${body}\\s*\\)$`).exec(input);
+        if (!match) {
+            return null;
+        }
+        const captures = match[1] !== undefined ? match.slice(1, 5) : match.slice(5, 9);
+        return captures.slice(0, 3).every(c => Number.isFinite(parseFloat(c))) ? captures : null;
+    }
+
+    // hsl() channels -> { r, g, b } (0..255)
+    function hslToRgb(h, s, l) {
+        const hue = ((h % 360) + 360) % 360;
+        const chroma = (1 - Math.abs(2 * l - 1)) * s;
+        const x = chroma * (1 - Math.abs((hue / 60) % 2 - 1));
+        const m = l - chroma / 2;
+        const [r, g, b] = hue < 60 ? [chroma, x, 0]
+            : hue < 120 ? [x, chroma, 0]
+                : hue < 180 ? [0, chroma, x]
+                    : hue < 240 ? [0, x, chroma]
+                        : hue < 300 ? [x, 0, chroma]
+                            : [chroma, 0, x];
+        return { r: (r + m) * 255, g: (g + m) * 255, b: (b + m) * 255 };
+    }
+
+    // Parse hex (#rgb, #rgba, #rrggbb, #rrggbbaa), rgb()/rgba(), hsl()/hsla() and oklch() strings
+    function parseColor(value) {
+        if (typeof value !== 'string') {
+            return null;
+        }
+        const input = value.trim().toLowerCase();
+
+        const hex = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.exec(input);
+        if (hex) {
+            let digits = hex[1];
+            if (digits.length <= 4) {
+                digits = digits.split('').map(c => c + c).join('');
+            }
+            return {
+                r: parseInt(digits.slice(0, 2), 16),
+                g: parseInt(digits.slice(2, 4), 16),
+                b: parseInt(digits.slice(4, 6), 16),
+                a: digits.length === 8 ? Math.round(parseInt(digits.slice(6, 8), 16) / 255 * 1000) / 1000 : 1
+            };
+        }
+
+        const rgb = matchColorFunction(input, 'rgba?', [`(${NUMBER})`, `(${NUMBER})`, `(${NUMBER})`]);
+        if (rgb) {
+            const channels = rgb.slice(0, 3).map(Number);
+            if (channels.some(c => c > 255)) {
+                return null;
+            }
+            const alpha = parseAlpha(rgb[3]);
+            if (alpha === null) {
+                return null;
+            }
+            return { r: channels[0], g: channels[1], b: channels[2], a: alpha };
+        }
+
+        const hsl = matchColorFunction(input, 'hsla?', [`(-?${NUMBER})(?:deg)?`, `(${NUMBER})%`, `(${NUMBER})%`]);
+        if (hsl) {
+            const saturation = Number(hsl[1]) / 100;
+            const lightness = Number(hsl[2]) / 100;
+            const alpha = parseAlpha(hsl[3]);
+            if (saturation > 1 || lightness > 1 || alpha === null) {
+                return null;
+            }
+            const { r, g, b } = hslToRgb(Number(hsl[0]), saturation, lightness);
+            return { r: clampChannel(r), g: clampChannel(g), b: clampChannel(b), a: alpha };
+        }
+
+        // Lightness as 0..1 or a percentage; out-of-gamut colours are clipped to sRGB
+        const oklch = matchColorFunction(input, 'oklch', [`(${NUMBER}%?)`, `(${NUMBER}%?)`, `(-?${NUMBER})(?:deg)?`], { legacy: false });
+        if (oklch) {
+            const L = oklch[0].endsWith('%') ? parseFloat(oklch[0]) / 100 : Number(oklch[0]);
+            const C = oklch[1].endsWith('%') ? parseFloat(oklch[1]) / 100 * 0.4 : Number(oklch[1]);
+            const hue = Number(oklch[2]) * Math.PI / 180;
+            const alpha = parseAlpha(oklch[3]);
+            if (L > 1 || alpha === null) {
+                return null;
+            }
+            return { ...fromOklab({ L, a: C * Math.cos(hue), b: C * Math.sin(hue) }), a: alpha };
+        }
+
+        return null;
+    }
+
+    function toHex(color) {
+        return '#' + [color.r, color.g, color.b]
+            .map(c => clampChannel(c).toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    function toRgba(color, alpha) {
+        const a = alpha === undefined ? color.a : alpha;
+        return `rgba(${clampChannel(color.r)}, ${clampChannel(color.g)}, ${clampChannel(color.b)}, ${a})`;
+    }
+
+    function round(value, digits) {
+        const factor = Math.pow(10, digits);
+        return Math.round(value * factor) / factor;
+    }
+
+    function alphaSuffix(color) {
+        return color.a === undefined || color.a >= 1 ? '' : ` / ${round(color.a, 3)}`;
+    }
+
+    function toHsl(color) {
+        const r = clampChannel(color.r) / 255;
+        const g = clampChannel(color.g) / 255;
+        const b = clampChannel(color.b) / 255;
+        const max = Math.max(r, g, b);
+        const min = Math.min(r, g, b);
+        const l = (max + min) / 2;
+        const d = max - min;
+        let h = 0;
+        let s = 0;
+        if (d) {
+            s = d / (1 - Math.abs(2 * l - 1));
+            h = max === r ? ((g - b) / d) % 6 : max === g ? (b - r) / d + 2 : (r - g) / d + 4;
+            h = (h * 60 + 360) % 360;
+        }
+        return `hsl(${round(h, 1)} ${round(s * 100, 1)}% ${round(l * 100, 1)}%${alphaSuffix(color)})`;
+    }
+
+    function toOklch(color) {
+        const lab = toOklab({ r: clampChannel(color.r), g: clampChannel(color.g), b: clampChannel(color.b) });
+        const chroma = Math.hypot(lab.a, lab.b);
+        // Greys have no meaningful hue
+        const hue = chroma < 0.0002 ? 0 : (Math.atan2(lab.b, lab.a) * 180 / Math.PI + 360) % 360;
+        return `oklch(${round(lab.L, 4)} ${round(chroma, 4)} ${round(hue, 2)}${alphaSuffix(color)})`;
+    }
+
+    // Output formats for API responses; 'channels' is "r g b" for rgb(var(--x) / <alpha-value>) in Tailwind
+    const COLOR_FORMATS = ['hex', 'rgb', 'hsl', 'oklch', 'channels'];
+
+    // Format a colour string; translucent colours stay rgba() in 'hex' since 8-digit hex is not accepted
+    function formatColor(value, format) {
+        const color = parseColor(value);
+        if (!color) {
+            return value;
+        }
+        const opaque = color.a === undefined || color.a >= 1;
+        switch (format) {
+            case 'hex':
+                return opaque ? toHex(color) : toRgba(color);
+            case 'rgb':
+                return `rgb(${clampChannel(color.r)} ${clampChannel(color.g)} ${clampChannel(color.b)}${alphaSuffix(color)})`;
+            case 'hsl':
+                return toHsl(color);
+            case 'oklch':
+                return toOklch(color);
+            case 'channels':
+                return `${clampChannel(color.r)} ${clampChannel(color.g)} ${clampChannel(color.b)}${alphaSuffix(color)}`;
+            default:
+                throw new Error(`Unknown colour format "${format}". Expected one of: ${COLOR_FORMATS.join(', ')}`);
+        }
+    }
+
+    // Parse the 'channels' form ("0 32 76", optionally "/ 0.5"); null when it is not one
+    function parseChannels(value) {
+        if (typeof value !== 'string') {
+            return null;
+        }
+        const match = new RegExp(`^\\s*(${NUMBER})\\s+(${NUMBER})\\s+(${NUMBER})\\s*(?:\\/\\s*${ALPHA}\\s*)?$`).exec(value);
+        return match ? parseColor(`rgb(${match[1]} ${match[2]} ${match[3]}${match[4] ? ` / ${match[4]}` : ''})`) : null;
+    }
+
+    // Linear mix in sRGB: weight 0 returns a, weight 1 returns b
+    function mix(a, b, weight) {
+        return {
+            r: a.r + (b.r - a.r) * weight,
+            g: a.g + (b.g - a.g) * weight,
+            b: a.b + (b.b - a.b) * weight,
+            a: 1
+        };
+    }
+
+    // sRGB <-> OKLab (https://bottosson.github.io/posts/oklab/)
+    function srgbToLinear(channel) {
+        const c = channel / 255;
+        return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    }
+
+    function linearToSrgb(value) {
+        const c = value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+        return c * 255;
+    }
+
+    function toOklab(color) {
+        const r = srgbToLinear(color.r);
+        const g = srgbToLinear(color.g);
+        const b = srgbToLinear(color.b);
+        const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+        const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+        const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+        return {
+            L: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+            a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+            b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+        };
+    }
+
+    function fromOklab(lab) {
+        const l = Math.pow(lab.L + 0.3963377774 * lab.a + 0.2158037573 * lab.b, 3);
+        const m = Math.pow(lab.L - 0.1055613458 * lab.a - 0.0638541728 * lab.b, 3);
+        const s = Math.pow(lab.L - 0.0894841775 * lab.a - 1.2914855480 * lab.b, 3);
+        return {
+            r: clampChannel(linearToSrgb(4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s)),
+            g: clampChannel(linearToSrgb(-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s)),
+            b: clampChannel(linearToSrgb(-0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s)),
+            a: 1
+        };
+    }
+
+    // Perceptual distance between two colours (Euclidean in OKLab)
+    function colorDistance(a, b) {
+        const la = toOklab(a);
+        const lb = toOklab(b);
+        return Math.hypot(la.L - lb.L, la.a - lb.a, la.b - lb.b);
+    }
+
+    // WCAG 2.x relative luminance of an opaque colour
+    function relativeLuminance(color) {
+        return 0.2126 * srgbToLinear(color.r) + 0.7152 * srgbToLinear(color.g) + 0.0722 * srgbToLinear(color.b);
+    }
+
+    function contrastRatio(a, b) {
+        const la = relativeLuminance(a);
+        const lb = relativeLuminance(b);
+        return (Math.max(la, lb) + 0.05) / (Math.min(la, lb) + 0.05);
+    }
+
+    // Minimum ratios per WCAG level; large text is >= 24px, or >= 18.66px bold
+    const WCAG_THRESHOLDS = {
+        AA: { normal: 4.5, large: 3 },
+        AAA: { normal: 7, large: 4.5 }
+    };
+
+    function meetsWcag(ratio, level, largeText = false) {
+        return ratio >= WCAG_THRESHOLDS[level][largeText ? 'large' : 'normal'];
+    }
+
+    // Paint a translucent colour over an opaque backdrop
+    function composite(top, backdrop) {
+        const alpha = top.a === undefined ? 1 : top.a;
+        return {
+            r: top.r * alpha + backdrop.r * (1 - alpha),
+            g: top.g * alpha + backdrop.g * (1 - alpha),
+            b: top.b * alpha + backdrop.b * (1 - alpha),
+            a: 1
+        };
+    }
+
+    // Tokens computed from the base palette; roles that are missing or unparseable are skipped
+    function deriveTokens(colors) {
+        const parsed = {};
+        for (const role of ROLES) {
+            parsed[role] = parseColor(colors[role]);
+        }
+
+        const tokens = {};
+        if (parsed.text && parsed.background) {
+            tokens[roleVariable('text-muted')] = toHex(mix(parsed.text, parsed.background, MUTED_TEXT_MIX));
+        }
+        // on-<role>: text or background, whichever reads better on the role (translucent roles sit on the background)
+        if (parsed.text && parsed.background) {
+            for (const role of ROLES) {
+                if (!parsed[role]) {
+                    continue;
+                }
+                const surface = composite(parsed[role], parsed.background);
+                const onColor = contrastRatio(parsed.text, surface) >= contrastRatio(parsed.background, surface)
+                    ? parsed.text
+                    : parsed.background;
+                tokens[roleVariable(`on-${role}`)] = toHex(onColor);
+            }
+        }
+        if (parsed.text) {
+            for (const [name, alpha] of Object.entries(SHADOW_ALPHAS)) {
+                tokens[roleVariable(name)] = toRgba(parsed.text, alpha);
+            }
+        }
+        for (const [name, { angle, stops }] of Object.entries(GRADIENTS)) {
+            if (stops.every(role => parsed[role])) {
+                tokens[roleVariable(`gradient-${name}`)] = `linear-gradient(${angle}deg, ${stops.map(role => toHex(parsed[role])).join(', ')})`;
+            }
+        }
+        return tokens;
+    }
+
+    // Channel variables for each colour in a --theme-* variable set; alpha is left to the consumer
+    function channelTokens(variables) {
+        const channels = {};
+        for (const key of COLOR_KEYS) {
+            const color = parseColor(variables[roleVariable(key)]);
+            if (color) {
+                channels[channelVariable(key)] = `${clampChannel(color.r)} ${clampChannel(color.g)} ${clampChannel(color.b)}`;
+            }
+        }
+        return channels;
+    }
+
+    // Map a palette ({ primary: '#00204c', ... }) to the full --theme-* variable set.
+    // Explicit values in the palette win over derived ones.
+    function paletteToVariables(colors) {
+        const variables = deriveTokens(colors);
+        for (const [key, value] of Object.entries(colors)) {
+            variables[roleVariable(key)] = value;
+        }
+        return { ...variables, ...channelTokens(variables) };
+    }
+
+    const CividisThemeTokens = {
+        ROLES,
+        VARIABLE_PREFIX,
+        SHADOW_ALPHAS,
+        SHADOW_OFFSETS,
+        GRADIENTS,
+        COLOR_KEYS,
+        roleVariable,
+        channelVariable,
+        parseColor,
+        toHex,
+        toRgba,
+        toHsl,
+        toOklch,
+        COLOR_FORMATS,
+        formatColor,
+        parseChannels,
+        mix,
+        toOklab,
+        fromOklab,
+        colorDistance,
+        WCAG_THRESHOLDS,
+        relativeLuminance,
+        contrastRatio,
+        meetsWcag,
+        composite,
+        deriveTokens,
+        channelTokens,
+        paletteToVariables
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = CividisThemeTokens;
+    } else {
+        root.CividisThemeTokens = CividisThemeTokens;
+    }
+})(typeof window !== 'undefined' ? window : this);
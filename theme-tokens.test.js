@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const tokens = require('./theme-tokens');
+
+const cividis = {
+    primary: '#00204c',
+    secondary: '#7f7c75',
+    accent: '#bbaf71',
+    success: '#0a376d',
+    warning: '#ffe945',
+    info: '#37476b',
+    background: '#ffffff',
+    surface: '#f8f9fa',
+    text: '#1b1b1b',
+    border: '#e0e0e0'
+};
+
+test('parseColor reads every supported syntax', () => {
+    assert.deepEqual(tokens.parseColor('#0af'), { r: 0, g: 170, b: 255, a: 1 });
+    assert.deepEqual(tokens.parseColor('rgba(10, 20, 30, 0.5)'), { r: 10, g: 20, b: 30, a: 0.5 });
+    assert.equal(tokens.toHex(tokens.parseColor('hsl(0, 100%, 50%)')), '#ff0000');
+    assert.equal(tokens.toHex(tokens.parseColor('oklch(0.628 0.2577 29.23)')), '#ff0000');
+    assert.equal(tokens.parseColor('red'), null);
+    assert.equal(tokens.parseColor('#12345'), null);
+});
+
+test('parseColor takes comma or space separators, never a mix', () => {
+    assert.deepEqual(tokens.parseColor('rgb(0 32 76 / 50%)'), { r: 0, g: 32, b: 76, a: 0.5 });
+    assert.deepEqual(tokens.parseColor('rgb(.5, 32, 76)'), { r: 0.5, g: 32, b: 76, a: 1 });
+    for (const value of ['rgb(1.2.3, 0, 0)', 'rgb(0, 0 0)', 'rgb(0 0 0, 0.5)', 'rgb(0, 0, 0 / 0.5)', 'rgb(. . .)', `rgb(${'9'.repeat(400)} 0 0)`]) {
+        assert.equal(tokens.parseColor(value), null, value);
+    }
+});
+
+test('hsl(), oklch() and channels use the same number grammar', () => {
+    assert.equal(tokens.toHex(tokens.parseColor('hsl(0 100% 50% / 1)')), '#ff0000');
+    assert.equal(tokens.parseColor('hsla(0, 100%, 50%, .5)').a, 0.5);
+    assert.deepEqual(tokens.parseChannels('0 32 76 / .5'), { r: 0, g: 32, b: 76, a: 0.5 });
+    for (const value of ['hsl(10 50% 50%, 0.5)', 'hsl(10, 50% 50%)', 'hsl(1.2.3, 50%, 50%)', `hsl(${'9'.repeat(400)} 50% 50%)`,
+        'oklch(. . .)', 'oklch(0.5, 0.1, 250)', 'oklch(0.5 0.1 250, 0.5)', 'oklch(0.5.1 0.1 250)']) {
+        assert.equal(tokens.parseColor(value), null, value);
+    }
+    for (const value of ['. . .', '0, 32, 76', '0 32 76, 0.5', '1.2.3 0 0']) {
+        assert.equal(tokens.parseChannels(value), null, value);
+    }
+});
+
+test('formatColor converts between the response formats', () => {
+    assert.equal(tokens.formatColor('#00204c', 'rgb'), 'rgb(0 32 76)');
+    assert.equal(tokens.formatColor('#00204c', 'channels'), '0 32 76');
+    assert.equal(tokens.formatColor('rgb(0, 32, 76)', 'hex'), '#00204c');
+    assert.deepEqual(tokens.parseChannels('0 32 76'), { r: 0, g: 32, b: 76, a: 1 });
+});
+
+test('contrast ratios follow WCAG 2.x', () => {
+    const ratio = tokens.contrastRatio(tokens.parseColor('#000000'), tokens.parseColor('#ffffff'));
+    assert.equal(ratio, 21);
+    assert.ok(tokens.meetsWcag(4.5, 'AA'));
+    assert.ok(!tokens.meetsWcag(4.49, 'AA'));
+    assert.ok(tokens.meetsWcag(3, 'AA', true));
+});
+
+test('roleVariable accepts roles, derived names and API keys', () => {
+    assert.equal(tokens.roleVariable('primary'), '--theme-primary');
+    assert.equal(tokens.roleVariable('text_muted'), '--theme-text-muted');
+    assert.equal(tokens.roleVariable('shadowLg'), '--theme-shadow-lg');
+    assert.equal(tokens.roleVariable('--custom'), '--custom');
+    assert.equal(tokens.channelVariable('on-primary'), '--theme-on-primary-rgb');
+});
+
+test('paletteToVariables maps every role and derives the rest', () => {
+    const variables = tokens.paletteToVariables(cividis);
+    for (const key of tokens.COLOR_KEYS) {
+        assert.ok(variables[tokens.roleVariable(key)], key);
+        assert.match(variables[tokens.channelVariable(key)], /^\d+ \d+ \d+$/, key);
+    }
+    assert.equal(variables['--theme-primary'], '#00204c');
+    assert.equal(variables['--theme-on-primary'], '#ffffff');
+    assert.equal(variables['--theme-on-warning'], '#1b1b1b');
+    assert.equal(variables['--theme-shadow'], 'rgba(27, 27, 27, 0.1)');
+    for (const name of Object.keys(tokens.GRADIENTS)) {
+        assert.match(variables[tokens.roleVariable(`gradient-${name}`)], /^linear-gradient\(/, name);
+    }
+});
+
+test('derived gradients follow the recipes in cividis-theme.css', () => {
+    const stylesheet = fs.readFileSync(path.join(__dirname, 'cividis-theme.css'), 'utf8');
+    const declared = {};
+    for (const [, name, value] of stylesheet.matchAll(/--theme-gradient-([a-z]+):\s*(linear-gradient\([^;}]*\))/g)) {
+        declared[name] = value.replace(/var\(--theme-([a-z]+)\)/g, (match, role) => cividis[role]).replace(/,\s*/g, ', ');
+    }
+    const variables = tokens.paletteToVariables(cividis);
+    assert.deepEqual(Object.keys(tokens.GRADIENTS).sort(), Object.keys(declared).sort());
+    for (const [name, value] of Object.entries(declared)) {
+        assert.equal(variables[tokens.roleVariable(`gradient-${name}`)], value, name);
+    }
+});
+
+test('deriveTokens skips what it cannot compute', () => {
+    assert.deepEqual(tokens.deriveTokens({}), {});
+    const derived = tokens.deriveTokens({ text: '#000000' });
+    assert.deepEqual(Object.keys(derived), ['--theme-shadow', '--theme-shadow-lg', '--theme-shadow-xl']);
+});